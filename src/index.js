@@ -28,10 +28,155 @@ export const MIME_TYPES = {
   '.xml': 'application/xml',
 }
 
+export const DEFAULT_CACHE_NAME = 'versui-walrus'
+
+export const DEFAULT_DB_NAME = 'versui'
+
+export const STRATEGIES = ['sequential', 'race', 'hedged']
+
+export const DEFAULT_HEDGE_DELAY = 1000
+
+export const DEFAULT_TIMEOUT = 5000
+
+export const DEFAULT_RETRY_DELAY = 250
+
+export const DEFAULT_MAX_RETRY_DELAY = 5000
+
+export const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504]
+
+export const DEFAULT_FAILURE_THRESHOLD = 3
+
+export const DEFAULT_PRECACHE_CONCURRENCY = 4
+
+/**
+ * Milliseconds fetch notifications are collected before posting, about one
+ * animation frame.
+ */
+export const DEFAULT_NOTIFY_INTERVAL = 16
+
+/**
+ * Minimum milliseconds between VERSUI_PROGRESS messages for one response.
+ */
+export const DEFAULT_PROGRESS_INTERVAL = 100
+
+/**
+ * Milliseconds `handle()` waits for a manifest when `claim_scope` is set.
+ */
+export const DEFAULT_LOAD_TIMEOUT = 3000
+
+export const DEFAULT_CIRCUIT_COOLDOWN = 30000
+
+/**
+ * Weight of the newest sample in the aggregator latency moving average.
+ */
+const LATENCY_WEIGHT = 0.3
+
+/**
+ * `Cache-Control` for Walrus responses unless a manifest header overrides it.
+ * Blobs are immutable but a path can point at a new blob after a deploy,
+ * so clients revalidate; the ETag makes that a cheap 304. Mark fingerprinted
+ * paths `immutable` through `header_rules`.
+ */
+export const DEFAULT_CACHE_CONTROL = 'no-cache'
+
+/**
+ * Headers added to every Walrus response unless overridden.
+ */
+export const DEFAULT_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+}
+
+/**
+ * Precompressed variant encodings, most preferred first, mapped to their
+ * `DecompressionStream` format.
+ */
+export const ENCODINGS = {
+  br: 'brotli',
+  gzip: 'gzip',
+  deflate: 'deflate',
+}
+
+/**
+ * Methods answered by the handler.
+ */
+export const ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Statuses accepted in redirect rules; 200 rewrites instead of redirecting.
+ */
+export const REDIRECT_STATUSES = [200, 301, 302, 307, 308]
+
+/**
+ * 1x1 transparent GIF, for use as an image placeholder.
+ */
+export const TRANSPARENT_GIF = {
+  body: Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), char => char.charCodeAt(0)),
+  content_type: 'image/gif'
+}
+
+/**
+ * Events accepted by `on()`.
+ */
+export const EVENTS = ['request', 'attempt', 'attempt_error', 'success', 'error', 'complete']
+
+/**
+ * Message types posted to clients.
+ */
+export const MESSAGE_TYPES = [
+  'VERSUI_LOADING',
+  'VERSUI_PROGRESS',
+  'VERSUI_COMPLETE',
+  'VERSUI_SUCCESS',
+  'VERSUI_ERROR',
+  'VERSUI_PRECACHE_PROGRESS',
+  'VERSUI_INTEGRITY_ERROR',
+  'VERSUI_UPDATE_AVAILABLE'
+]
+
+/**
+ * Latency samples kept per aggregator for metrics percentiles.
+ */
+const METRICS_WINDOW = 100
+
+/**
+ * Fields of a `load()` message that make up the persisted manifest.
+ */
+const MANIFEST_FIELDS = ['resources', 'aggregators', 'version', 'headers', 'header_rules', 'redirects', 'base_path']
+
+const IDB_STORE = 'manifest'
+const MANIFEST_KEY = 'current'
+const PINS_KEY = 'pins'
+
+/**
+ * Synthetic origin for Cache API keys. Walrus content is addressed by ID,
+ * so entries are keyed independently of the site's own URL space.
+ */
+const CACHE_KEY_ORIGIN = 'https://walrus.versui.cache'
+
 // ============================================================================
 // Internal Helpers (Pure)
 // ============================================================================
 
+/**
+ * Whether a URL is on the service worker's origin. Manifest paths, rules
+ * and scopes only describe that origin, so a catch-all rule like `/*` must
+ * not capture third-party scripts, fonts or APIs. True outside a worker.
+ * @param {string} url
+ * @returns {boolean}
+ */
+const is_own_origin = url => {
+  const origin = globalThis.self?.location?.origin
+  return !origin || new URL(url, origin).origin === origin
+}
+
+/**
+ * Whether a request URL's path ends with a slash, which `normalize_path()`
+ * drops.
+ * @param {string} url
+ * @returns {boolean}
+ */
+const has_trailing_slash = url => new URL(url, 'https://localhost').pathname.endsWith('/')
+
 /**
  * Normalize path for consistent lookups.
  * - Strips query strings
@@ -71,6 +216,32 @@ const normalize_path = url_or_path => {
   return normalized
 }
 
+/**
+ * Normalize a base path: `/app/` → `/app`, the root → `''`.
+ * @param {string} base_path
+ * @returns {string}
+ * @throws {Error} - If it is not a string
+ */
+const normalize_base_path = base_path => {
+  if (typeof base_path !== 'string') throw new Error('load() requires base_path to be a string')
+
+  const normalized = normalize_path(base_path)
+  return normalized === '/' ? '' : normalized
+}
+
+/**
+ * Strip a base path from a normalized request path.
+ * @param {string} path
+ * @param {string} base_path - From `normalize_base_path()`
+ * @returns {string|null} - The manifest path, or null outside the base path
+ */
+const strip_base_path = (path, base_path) => {
+  if (!base_path) return path
+  if (path === base_path) return '/'
+  if (path.startsWith(`${base_path}/`)) return path.slice(base_path.length)
+  return null
+}
+
 /**
  * Get MIME type from file path.
  * @param {string} path
@@ -85,195 +256,2876 @@ const get_mime_type = path => {
 }
 
 /**
- * Trim trailing slash from URL.
- * @param {string} url
- * @returns {string}
+ * Whether a request is a top-level or frame navigation.
+ * @param {Request} request
+ * @returns {boolean}
  */
-const trim_trailing_slash = url =>
-  url.endsWith('/') ? url.slice(0, -1) : url
+const is_navigation_request = request => request.mode === 'navigate'
 
-// ============================================================================
-// Internal Helpers (I/O)
-// ============================================================================
+/**
+ * Path of the directory index document for a normalized path.
+ * @param {string} path
+ * @param {string} index - Index file name, e.g. `index.html`
+ * @returns {string}
+ */
+const directory_index_path = (path, index) =>
+  path === '/' ? `/${index}` : `${path}/${index}`
 
 /**
- * Send message to all clients via postMessage.
- * @param {object} message
- * @returns {Promise<void>}
+ * Compile a `_headers`-style path pattern; `*` matches any run of characters
+ * (including `/`), everything else matches literally.
+ * @param {string} pattern
+ * @returns {RegExp}
  */
-const notify_clients = async message => {
-  const clients = await self.clients.matchAll()
-  clients.forEach(client => client.postMessage(message))
+const compile_path_pattern = pattern => {
+  const source = normalize_path(pattern)
+    .split('*')
+    .map(escape_regexp)
+    .join('.*')
+  return new RegExp(`^${source}$`)
 }
 
 /**
- * Try aggregators sequentially with 5s timeout each.
- * @param {string} quilt_patch_id
- * @param {string[]} aggregators - URLs with trailing slashes already trimmed
- * @returns {Promise<Response>}
- * @throws {Error} - If all aggregators fail
+ * Escape a string for literal use in a regular expression.
+ * @param {string} value
+ * @returns {string}
  */
-const try_aggregators = async (quilt_patch_id, aggregators) => {
-  let last_error
+const escape_regexp = value => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
 
-  for (const aggregator of aggregators) {
-    const controller = new AbortController()
-    const timeout_id = setTimeout(() => controller.abort(), 5000)
-
-    try {
-      const url = `${aggregator}/v1/blobs/${quilt_patch_id}`
-      const response = await fetch(url, { signal: controller.signal })
-      clearTimeout(timeout_id)
+/**
+ * Compile one `_redirects`-style rule. In `from`, `:name` matches one path
+ * segment and `*` matches the rest (a trailing `/*` also matches the bare
+ * prefix); `to` may use `:name` and `:splat`.
+ * @param {unknown} rule
+ * @param {number} index - Used in error messages
+ * @returns {{ pattern: RegExp, names: string[], to: string, status: number }}
+ * @throws {Error} - If the rule is malformed
+ */
+const compile_redirect = (rule, index) => {
+  if (rule === null || typeof rule !== 'object' || typeof rule.from !== 'string' || typeof rule.to !== 'string') {
+    throw new Error(`Invalid redirect rule at index ${index}`)
+  }
 
-      if (response.ok) return response
+  const { from, to, status = 301 } = rule
+  if (!REDIRECT_STATUSES.includes(status)) {
+    throw new Error(`Invalid redirect status ${status} for ${from}`)
+  }
 
-      last_error = new Error(`${aggregator}: ${response.status}`)
-    } catch (error) {
-      clearTimeout(timeout_id)
-      last_error = error
-    }
+  const names = []
+  let source = normalize_path(from)
+  let optional_splat = false
+  if (source.endsWith('/*')) {
+    source = source.slice(0, -2)
+    optional_splat = true
   }
 
-  throw last_error
+  source = source
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1))
+        return '([^/]+)'
+      }
+      const parts = segment.split('*')
+      names.push(...parts.slice(1).map(() => 'splat'))
+      return parts.map(escape_regexp).join('(.*)')
+    })
+    .join('/')
+
+  if (optional_splat) {
+    names.push('splat')
+    source += '(?:/(.*))?'
+  }
+  return { pattern: new RegExp(`^${source}$`), names, to, status }
 }
 
-// ============================================================================
-// Factory
-// ============================================================================
+/**
+ * Apply a compiled redirect rule to a path.
+ * @param {{ pattern: RegExp, names: string[], to: string }} rule
+ * @param {string} path
+ * @returns {string|null} - The target with placeholders filled in, or null
+ *   when the rule does not match
+ */
+const match_redirect = ({ pattern, names, to }, path) => {
+  const match = pattern.exec(path)
+  if (!match) return null
+
+  const params = Object.fromEntries(names.map((name, i) => [name, match[i + 1] ?? '']))
+  return to.replace(/:(\w+)/g, (placeholder, name) => name in params ? params[name] : placeholder)
+}
 
 /**
- * Create a Versui handler instance.
- * @returns {VersuiHandler}
+ * Validate a header map from the manifest.
+ * @param {unknown} headers
+ * @param {string} label - Used in the error message
+ * @returns {Record<string, string|null>}
+ * @throws {Error} - If not a plain object of string (or null) values
  */
-export function create_versui_handler() {
-  // Instance state (closure-scoped)
-  let resources = new Map()
-  let aggregators = []
-  let success_notified = false
+const validate_header_map = (headers, label) => {
+  if (headers === null || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error(`load() requires ${label} to be an object`)
+  }
 
-  /**
-   * Load resources and aggregators from bootstrap message.
-   * @param {object} data
-   * @param {Record<string, string>} data.resources - Map of path to quilt_patch_id
-   * @param {string[]} data.aggregators - Ordered list of aggregator URLs
-   */
-  const load = ({ resources: res, aggregators: agg }) => {
-    // Validate aggregators
-    if (!Array.isArray(agg) || agg.length === 0) {
-      throw new Error('load() requires non-empty aggregators array')
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== null && typeof value !== 'string') {
+      throw new Error(`Invalid header value for ${name} in ${label}`)
     }
+  }
 
-    // Validate resources
-    if (res === null || typeof res !== 'object' || Array.isArray(res)) {
-      throw new Error('load() requires resources object')
-    }
+  return headers
+}
 
-    // Validate each aggregator URL
-    for (const url of agg) {
-      try {
-        new URL(url)
-      } catch {
-        throw new Error(`Invalid aggregator URL: ${url}`)
-      }
-    }
+/**
+ * Compare two resource maps.
+ * @param {Map<string, object>} previous
+ * @param {Map<string, object>} next
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+const diff_resources = (previous, next) => {
+  const added = []
+  const changed = []
+  for (const [path, entry] of next) {
+    if (!previous.has(path)) added.push(path)
+    else if (JSON.stringify(previous.get(path)) !== JSON.stringify(entry)) changed.push(path)
+  }
 
-    // Clear and store resources with normalized paths
-    resources = new Map()
-    for (const [path, id] of Object.entries(res)) {
-      resources.set(normalize_path(path), id)
-    }
+  const removed = [...previous.keys()].filter(path => !next.has(path))
+  return { added, removed, changed }
+}
 
-    // Store aggregators with trailing slashes trimmed
-    aggregators = agg.map(trim_trailing_slash)
+/**
+ * Pick the persisted fields of a `load()` message.
+ * @param {object} data
+ * @returns {object}
+ */
+const pick_manifest = data =>
+  Object.fromEntries(MANIFEST_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]))
 
-    // Reset success notification flag
-    success_notified = false
+/**
+ * Trim trailing slash from URL.
+ * @param {string} url
+ * @returns {string}
+ */
+const trim_trailing_slash = url =>
+  url.endsWith('/') ? url.slice(0, -1) : url
+
+/**
+ * Hex-encode bytes.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+const to_hex = bytes =>
+  [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+
+/**
+ * Normalize a SHA-256 digest to lowercase hex.
+ * Accepts hex, base64, or SRI form (`sha256-<base64>`).
+ * @param {string} digest
+ * @returns {string}
+ * @throws {Error} - If the digest is not a valid SHA-256 value
+ */
+const normalize_sha256 = digest => {
+  const value = digest.startsWith('sha256-') ? digest.slice(7) : digest
+  if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase()
+
+  try {
+    const bytes = Uint8Array.from(atob(value), char => char.charCodeAt(0))
+    if (bytes.length === 32) return to_hex(bytes)
+  } catch {
+    // Fall through to error below
   }
 
-  /**
-   * Check if handler should process this request.
-   * @param {Request} request
-   * @returns {boolean}
-   */
-  const handles = request => {
-    const normalized = normalize_path(request.url)
-    return resources.has(normalized)
+  throw new Error(`Invalid sha256 digest: ${digest}`)
+}
+
+/**
+ * Resolve how an object entry addresses its blob: its ID (used for ETags)
+ * and the aggregator path after `/v1/blobs/`.
+ * - `{ id }` → `<id>` (same as a string entry)
+ * - `{ blob_id }` → `<blob_id>`
+ * - `{ quilt_patch_id }` → `by-quilt-patch-id/<quilt_patch_id>`
+ * - `{ quilt_id, identifier }` → `by-quilt-id/<quilt_id>/<identifier>`
+ * @param {string} path
+ * @param {object} value
+ * @returns {{ id: string, address: string }}
+ * @throws {Error} - Unless exactly one addressing mode is given
+ */
+const resolve_address = (path, value) => {
+  const modes = ['id', 'blob_id', 'quilt_patch_id', 'quilt_id'].filter(key => value[key] !== undefined)
+  const [mode] = modes
+  const invalid = modes.length !== 1 ||
+    typeof value[mode] !== 'string' ||
+    (mode === 'quilt_id') !== (value.identifier !== undefined) ||
+    (mode === 'quilt_id' && typeof value.identifier !== 'string')
+  if (invalid) throw new Error(`Invalid resource entry for ${path}`)
+
+  if (mode === 'quilt_patch_id') {
+    return { id: value.quilt_patch_id, address: `by-quilt-patch-id/${encodeURIComponent(value.quilt_patch_id)}` }
   }
 
-  /**
-   * Handle fetch event, return Response from Walrus.
-   * @param {FetchEvent} event
-   * @returns {Promise<Response>}
-   * @throws {Error} - Synchronously if not initialized
-   */
-  const handle = event => {
-    // Guard: throw sync if not initialized
-    if (aggregators.length === 0) {
-      throw new Error('Handler not initialized - call load() first')
+  if (mode === 'quilt_id') {
+    return {
+      id: `${value.quilt_id}/${value.identifier}`,
+      address: `by-quilt-id/${encodeURIComponent(value.quilt_id)}/${encodeURIComponent(value.identifier)}`
     }
+  }
 
-    // Return async handling
-    return (async () => {
-      const path = normalize_path(event.request.url)
-      const quilt_patch_id = resources.get(path)
-
-      // Notify loading start
-      await notify_clients({ type: 'VERSUI_LOADING', path })
+  return { id: value[mode], address: value[mode] }
+}
 
-      try {
-        const response = await try_aggregators(quilt_patch_id, aggregators)
+/**
+ * Normalize a manifest resource value into an entry object.
+ * - `'<id>'` → `{ id, address }`
+ * - `{ <addressing>, sha256?, variants? }` → `{ id, address, sha256, variants }`
+ *   (see `resolve_address()`) with the digest as lowercase hex and each
+ *   variant normalized the same way
+ * @param {string} path
+ * @param {string|{ id?: string, blob_id?: string, quilt_patch_id?: string, quilt_id?: string, identifier?: string, sha256?: string, variants?: Record<string, string|object> }} value
+ * @returns {{ id: string, address: string, sha256?: string, variants?: Record<string, object> }}
+ * @throws {Error} - If the value is malformed
+ */
+const normalize_entry = (path, value) => {
+  if (typeof value === 'string') return { id: value, address: value }
 
-        // Notify first success
-        if (!success_notified) {
-          await notify_clients({ type: 'VERSUI_SUCCESS' })
-          success_notified = true
-        }
+  if (value === null || typeof value !== 'object') {
+    throw new Error(`Invalid resource entry for ${path}`)
+  }
 
-        // Return response with correct MIME type
-        return new Response(response.body, {
-          status: 200,
-          headers: { 'Content-Type': get_mime_type(path) }
-        })
-      } catch (error) {
-        // Notify error
-        await notify_clients({ type: 'VERSUI_ERROR', error: error.message })
+  const entry = resolve_address(path, value)
+  if (value.sha256) entry.sha256 = normalize_sha256(value.sha256)
 
-        // Return 502
-        return new Response('Walrus fetch failed', {
-          status: 502,
-          statusText: 'Bad Gateway',
-          headers: { 'Content-Type': 'text/plain' }
-        })
+  if (value.variants) {
+    entry.variants = {}
+    for (const [encoding, variant] of Object.entries(value.variants)) {
+      if (!(encoding in ENCODINGS)) {
+        throw new Error(`Unsupported encoding ${encoding} for ${path}`)
       }
-    })()
+      entry.variants[encoding] = normalize_entry(`${path} (${encoding})`, variant)
+    }
   }
 
-  /**
-   * Direct fetch helper (no notifications).
-   * @param {string} path
-   * @returns {Promise<Response>}
-   * @throws {Error} - If not initialized or path not found
-   */
-  const fetch_from_walrus = async path => {
-    // Guard: throw if not initialized
-    if (aggregators.length === 0) {
-      throw new Error('Handler not initialized - call load() first')
-    }
+  return entry
+}
 
-    const normalized = normalize_path(path)
-    const quilt_patch_id = resources.get(normalized)
+/**
+ * Strong ETag for a Walrus blob, derived from its content address.
+ * @param {string} id
+ * @returns {string}
+ */
+const blob_etag = id => `"${id}"`
 
-    if (!quilt_patch_id) {
-      throw new Error(`Resource not found: ${normalized}`)
-    }
+/**
+ * Whether an `If-None-Match` header matches an ETag (weak comparison).
+ * @param {string|null|undefined} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+const etag_matches = (header, etag) => {
+  if (!header) return false
+  if (header.trim() === '*') return true
+
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)
+}
+
+/**
+ * Whether an `Accept-Encoding` header allows an encoding. A missing header
+ * allows everything (browsers do not expose it to service workers).
+ * @param {string|null|undefined} header
+ * @param {string} encoding
+ * @returns {boolean}
+ */
+const accepts_encoding = (header, encoding) => {
+  if (!header) return true
 
-    return try_aggregators(quilt_patch_id, aggregators)
+  const weights = new Map(header.split(',').map(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';')
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='))
+    return [name.trim(), q ? Number(q.slice(2)) : 1]
+  }))
+
+  return (weights.get(encoding) ?? weights.get('*') ?? 0) > 0
+}
+
+/**
+ * Whether this context can decompress an encoding locally.
+ * @param {string} encoding - Key of `ENCODINGS`
+ * @returns {boolean}
+ */
+const can_decompress = encoding => {
+  try {
+    new DecompressionStream(ENCODINGS[encoding])
+    return true
+  } catch {
+    return false
   }
+}
 
-  return {
-    load,
-    handles,
-    handle,
-    fetch_from_walrus
+/**
+ * Pick the most preferred precompressed variant the client accepts and,
+ * when decompressing locally, this context can decode.
+ * @param {Record<string, object>|undefined} variants
+ * @param {string|null|undefined} accept_encoding
+ * @param {boolean} decompress
+ * @returns {string|null} - Encoding, or null for the identity variant
+ */
+const pick_encoding = (variants, accept_encoding, decompress) => {
+  if (!variants) return null
+
+  return Object.keys(ENCODINGS).find(encoding =>
+    variants[encoding] &&
+    accepts_encoding(accept_encoding, encoding) &&
+    (!decompress || can_decompress(encoding))
+  ) ?? null
+}
+
+/**
+ * Parse a single-range `Range` header.
+ * Multi-range and malformed headers are ignored (full response is served).
+ * @param {string|null|undefined} header
+ * @returns {{ start: number|null, end: number|null }|null} - `start: null`
+ *   means a suffix range of the last `end` bytes
+ */
+const parse_range_header = header => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? '')
+  if (!match) return null
+
+  const [, start, end] = match
+  if (start === '' && end === '') return null
+  if (start === '') return { start: null, end: Number(end) }
+
+  const range = { start: Number(start), end: end === '' ? null : Number(end) }
+  if (range.end !== null && range.end < range.start) return null
+  return range
+}
+
+/**
+ * Resolve a parsed range against a known body size.
+ * @param {{ start: number|null, end: number|null }} range
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null} - Inclusive byte offsets,
+ *   or null if the range is not satisfiable
+ */
+const resolve_range = (range, size) => {
+  if (range.start === null) {
+    if (range.end === 0 || size === 0) return null
+    return { start: Math.max(0, size - range.end), end: size - 1 }
+  }
+
+  if (range.start >= size) return null
+  return { start: range.start, end: Math.min(range.end ?? size - 1, size - 1) }
+}
+
+/**
+ * Format a parsed range back into a `Range` header value.
+ * @param {{ start: number|null, end: number|null }} range
+ * @returns {string}
+ */
+const format_range_header = ({ start, end }) =>
+  start === null ? `bytes=-${end}` : `bytes=${start}-${end ?? ''}`
+
+/**
+ * Build a 206 (or 416) response by slicing a body. A `Blob` from the Cache
+ * API can stay on disk; slicing it does not read the rest into memory.
+ * @param {Blob} body
+ * @param {{ start: number|null, end: number|null }} range
+ * @param {string} content_type
+ * @returns {Response}
+ */
+const slice_range_response = (body, range, content_type) => {
+  const size = body.size
+  const resolved = resolve_range(range, size)
+
+  if (!resolved) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}`, 'Accept-Ranges': 'bytes' }
+    })
+  }
+
+  const { start, end } = resolved
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': content_type,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  })
+}
+
+/**
+ * Parse a `Retry-After` header (delay in seconds or HTTP date).
+ * @param {string|null} value
+ * @param {number} now
+ * @returns {number|null} - Delay in ms, or null if absent or malformed
+ */
+const parse_retry_after = (value, now) => {
+  if (!value) return null
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * Exponential backoff with equal jitter: half the delay is fixed, half random.
+ * @param {number} retry - Zero-based retry number
+ * @param {number} base - Delay before the first retry, in ms
+ * @param {number} max - Upper bound, in ms
+ * @returns {number}
+ */
+const backoff_delay = (retry, base, max) => {
+  const delay = Math.min(max, base * 2 ** retry)
+  return delay / 2 + Math.random() * (delay / 2)
+}
+
+/**
+ * Whether a failed attempt is worth retrying: network errors, timeouts and
+ * the configured statuses are; integrity mismatches and deadlines are not.
+ * @param {Error} error
+ * @param {number[]} retry_statuses
+ * @returns {boolean}
+ */
+const is_retryable = (error, retry_statuses) => {
+  if (error.status !== undefined) return retry_statuses.includes(error.status)
+  return error.code !== 'VERSUI_INTEGRITY_ERROR' && error.code !== 'VERSUI_DEADLINE'
+}
+
+/**
+ * Status for a fetch that failed on every aggregator: 504 when it ran out
+ * of time, 502 otherwise.
+ * @param {Error} error - Final error from `try_aggregators()`
+ * @returns {{ status: number, status_text: string }}
+ */
+const failure_status = error =>
+  error.code === 'VERSUI_TIMEOUT' || error.code === 'VERSUI_DEADLINE'
+    ? { status: 504, status_text: 'Gateway Timeout' }
+    : { status: 502, status_text: 'Bad Gateway' }
+
+/**
+ * Copy a response's status and headers onto another body.
+ * @param {Response} response
+ * @param {BodyInit|null} body
+ * @returns {Response}
+ */
+const with_body = (response, body) => new Response(body, {
+  status: response.status,
+  statusText: response.statusText,
+  headers: response.headers
+})
+
+/**
+ * Wrap a body in a stream that counts the bytes read through it.
+ * `on_end` runs once, when the body is fully read, fails or is cancelled.
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(loaded: number) => void} on_chunk
+ * @param {(loaded: number, aborted: boolean) => void} on_end
+ * @returns {ReadableStream<Uint8Array>}
+ */
+const count_bytes = (body, on_chunk, on_end) => {
+  const reader = body.getReader()
+  let loaded = 0
+  let ended = false
+
+  const end = aborted => {
+    if (ended) return
+    ended = true
+    on_end(loaded, aborted)
+  }
+
+  return new ReadableStream({
+    pull: async controller => {
+      try {
+        const { done, value } = await reader.read()
+        if (done) {
+          controller.close()
+          end(false)
+          return
+        }
+
+        loaded += value.byteLength
+        on_chunk(loaded)
+        controller.enqueue(value)
+      } catch (error) {
+        controller.error(error)
+        end(true)
+      }
+    },
+    cancel: reason => {
+      end(true)
+      // A tee'd body only settles its cancel once every branch is cancelled
+      reader.cancel(reason).catch(() => {})
+    }
+  })
+}
+
+/**
+ * Find the placeholder for a content type: an exact MIME type key first,
+ * then `<type>/*`.
+ * @param {Record<string, string|Uint8Array|{ body: BodyInit, content_type?: string }>} placeholders
+ * @param {string} content_type
+ * @returns {{ body: BodyInit, content_type: string }|null}
+ */
+const find_placeholder = (placeholders, content_type) => {
+  const mime = content_type.split(';')[0].trim()
+  const placeholder = placeholders[mime] ?? placeholders[`${mime.split('/')[0]}/*`]
+  if (placeholder === undefined) return null
+
+  if (typeof placeholder === 'string' || placeholder instanceof Uint8Array) {
+    return { body: placeholder, content_type }
+  }
+  return { body: placeholder.body, content_type: placeholder.content_type ?? content_type }
+}
+
+/**
+ * Resolve circuit breaker settings from the `health` handler option.
+ * @param {boolean|object|undefined} health_option
+ * @returns {{ failure_threshold: number, cooldown: number }|null} - null
+ *   when health tracking is disabled
+ */
+const resolve_health_config = health_option => {
+  if (!health_option) return null
+
+  const {
+    failure_threshold = DEFAULT_FAILURE_THRESHOLD,
+    cooldown = DEFAULT_CIRCUIT_COOLDOWN
+  } = typeof health_option === 'object' ? health_option : {}
+
+  return { failure_threshold, cooldown }
+}
+
+/**
+ * Fold an attempt outcome into an aggregator's health record.
+ * - Latency is an exponentially weighted moving average of successes
+ * - `failure_threshold` consecutive failures open the circuit; a failed
+ *   half-open trial re-opens it, a success closes it
+ * @param {object|undefined} record - Previous record
+ * @param {{ ok: boolean, latency: number }} attempt
+ * @param {number} now
+ * @param {{ failure_threshold: number }} config
+ * @returns {object} - New record
+ */
+const update_health = (record, { ok, latency }, now, { failure_threshold }) => {
+  const previous = record ?? {
+    state: 'closed',
+    successes: 0,
+    failures: 0,
+    consecutive_failures: 0,
+    latency: null,
+    opened_at: null
+  }
+
+  if (ok) {
+    return {
+      ...previous,
+      state: 'closed',
+      successes: previous.successes + 1,
+      consecutive_failures: 0,
+      latency: previous.latency === null
+        ? latency
+        : Math.round(previous.latency * (1 - LATENCY_WEIGHT) + latency * LATENCY_WEIGHT),
+      opened_at: null
+    }
+  }
+
+  const consecutive_failures = previous.consecutive_failures + 1
+  const opens = previous.state !== 'closed' || consecutive_failures >= failure_threshold
+
+  return {
+    ...previous,
+    state: opens ? 'open' : 'closed',
+    failures: previous.failures + 1,
+    consecutive_failures,
+    opened_at: opens ? now : null
+  }
+}
+
+/**
+ * Circuit state at a point in time; open circuits turn half-open once the
+ * cooldown has elapsed.
+ * @param {object|undefined} record
+ * @param {number} now
+ * @param {{ cooldown: number }} config
+ * @returns {'closed'|'open'|'half-open'}
+ */
+const circuit_state = (record, now, { cooldown }) => {
+  if (!record || record.state === 'closed') return 'closed'
+  return now - record.opened_at >= cooldown ? 'half-open' : 'open'
+}
+
+/**
+ * Order aggregators by health: half-open ones first (their trial decides
+ * whether the circuit closes), then closed circuits by ascending latency
+ * (unmeasured first, so every aggregator gets sampled). Open circuits, and
+ * half-open ones whose single trial is already in flight, are skipped
+ * unless nothing else is left.
+ * @param {string[]} aggregators
+ * @param {Map<string, object>} health
+ * @param {number} now
+ * @param {{ cooldown: number }} config
+ * @returns {string[]}
+ */
+const order_by_health = (aggregators, health, now, config) => {
+  const by_state = { 'closed': [], 'half-open': [], 'open': [] }
+  for (const aggregator of aggregators) {
+    const record = health.get(aggregator)
+    const state = circuit_state(record, now, config)
+    by_state[state === 'half-open' && record.trial_in_flight ? 'open' : state].push(aggregator)
+  }
+
+  const latency = aggregator => health.get(aggregator)?.latency ?? 0
+  const ordered = [
+    ...by_state['half-open'],
+    ...by_state['closed'].sort((a, b) => latency(a) - latency(b))
+  ]
+
+  return ordered.length > 0 ? ordered : by_state['open']
+}
+
+/**
+ * Nearest-rank percentile of a list of samples.
+ * @param {number[]} samples
+ * @param {number} p - Between 0 and 100
+ * @returns {number|null} - Null without samples
+ */
+const percentile = (samples, p) => {
+  if (samples.length === 0) return null
+
+  const sorted = [...samples].sort((a, b) => a - b)
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]
+}
+
+/**
+ * Parse a Content-Length header.
+ * @param {Headers} headers
+ * @returns {number|null}
+ */
+const parse_content_length = headers => {
+  const value = headers.get('Content-Length')
+  return value !== null && /^\d+$/.test(value) ? Number(value) : null
+}
+
+/**
+ * Decode key or signature material given as bytes, hex or base64(url).
+ * @param {string|ArrayBuffer|Uint8Array} value
+ * @returns {Uint8Array}
+ * @throws {Error} - If a string is neither hex nor base64
+ */
+const decode_bytes = value => {
+  if (value instanceof Uint8Array) return value
+  if (value instanceof ArrayBuffer) return new Uint8Array(value)
+
+  const text = String(value).trim()
+  if (/^([0-9a-f]{2})+$/i.test(text)) {
+    return Uint8Array.from(text.match(/../g), byte => parseInt(byte, 16))
+  }
+
+  try {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+  } catch {
+    throw new Error('Expected hex or base64 encoded bytes')
+  }
+}
+
+/**
+ * Read a detached signature body: 64 raw bytes, or hex/base64 text.
+ * @param {Response} response
+ * @returns {Promise<Uint8Array>}
+ */
+const read_signature = async response => {
+  const bytes = new Uint8Array(await response.arrayBuffer())
+  return bytes.length === 64 ? bytes : decode_bytes(new TextDecoder().decode(bytes))
+}
+
+/**
+ * Header recording, on a cached response, the SHA-256 digest its body was
+ * verified against. Handler responses are built from scratch, so it never
+ * reaches a page.
+ */
+const VERIFIED_HEADER = 'X-Versui-Sha256'
+
+/**
+ * Copy of a response to cache, marked with the digest it was verified
+ * against (unchanged when there was none).
+ * @param {Response} response - Already verified by `fetch_upstream()`
+ * @param {string} [sha256]
+ * @returns {Response}
+ */
+const mark_verified = (response, sha256) => {
+  if (!sha256) return response
+
+  const headers = new Headers(response.headers)
+  headers.set(VERIFIED_HEADER, sha256)
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers })
+}
+
+/**
+ * Whether a cached response may serve an entry: entries with a digest only
+ * trust copies verified against that digest, not ones cached through a path
+ * without one or by an older manifest.
+ * @param {Response} cached
+ * @param {{ sha256?: string }} entry
+ * @returns {boolean}
+ */
+const is_trusted_hit = (cached, entry) =>
+  !entry.sha256 || cached.headers.get(VERIFIED_HEADER) === entry.sha256
+
+/**
+ * Build Cache API key for a blob address.
+ * @param {string} address - Aggregator path after `/v1/blobs/`
+ * @returns {string}
+ */
+const cache_key = address =>
+  `${CACHE_KEY_ORIGIN}/v1/blobs/${address}`
+
+/**
+ * Resolve cache name from the `cache` handler option.
+ * @param {boolean|string|{ name?: string }|undefined} cache_option
+ * @returns {string|null} - null when caching is disabled
+ */
+const resolve_cache_name = cache_option => {
+  if (!cache_option) return null
+  if (typeof cache_option === 'string') return cache_option
+  if (typeof cache_option === 'object' && cache_option.name) return cache_option.name
+  return DEFAULT_CACHE_NAME
+}
+
+/**
+ * Resolve IndexedDB database name from the `persist` handler option.
+ * @param {boolean|string|undefined} persist_option
+ * @returns {string|null} - null when persistence is disabled
+ */
+const resolve_db_name = persist_option => {
+  if (!persist_option) return null
+  if (typeof persist_option === 'string') return persist_option
+  return DEFAULT_DB_NAME
+}
+
+// ============================================================================
+// Internal Helpers (I/O)
+// ============================================================================
+
+/**
+ * Send message to all clients via postMessage.
+ * @param {object} message
+ * @param {ClientQueryOptions} [query] - Passed to `clients.matchAll()`
+ * @returns {Promise<void>}
+ */
+const notify_clients = async (message, query) => {
+  const clients = await self.clients.matchAll(query)
+  clients.forEach(client => client.postMessage(message))
+}
+
+/**
+ * Find the client a fetch notification is meant for.
+ * @param {string[]} client_ids - Candidates, best first
+ * @returns {Promise<Client[]>} - The first one that exists, or none
+ */
+const find_client = async client_ids => {
+  for (const client_id of client_ids) {
+    const client = await self.clients.get(client_id)
+    if (client) return [client]
+  }
+  return []
+}
+
+/**
+ * Promisify an IDBRequest.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+const idb_request = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Open (and create if needed) the manifest database.
+ * @param {string} db_name
+ * @returns {Promise<IDBDatabase>}
+ */
+const idb_open = db_name => {
+  const request = indexedDB.open(db_name, 1)
+  request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE)
+  return idb_request(request)
+}
+
+/**
+ * Read a record from the manifest store.
+ * @param {string} db_name
+ * @param {string} key
+ * @returns {Promise<any>}
+ */
+const idb_get = async (db_name, key) => {
+  const db = await idb_open(db_name)
+  try {
+    const store = db.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE)
+    return await idb_request(store.get(key))
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Write a record to the manifest store, resolving once committed.
+ * @param {string} db_name
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+const idb_put = async (db_name, key, value) => {
+  const db = await idb_open(db_name)
+  try {
+    const transaction = db.transaction(IDB_STORE, 'readwrite')
+    transaction.objectStore(IDB_STORE).put(value, key)
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Buffer a response body and check it against an expected SHA-256 digest.
+ * @param {Response} response
+ * @param {string} expected - Lowercase hex digest
+ * @returns {Promise<{ response: Response|null, actual: string }>} - A fresh
+ *   response over the verified bytes, or null on mismatch
+ */
+const verify_response = async (response, expected) => {
+  const body = await response.arrayBuffer()
+  const actual = to_hex(await crypto.subtle.digest('SHA-256', body))
+  if (actual !== expected) return { response: null, actual }
+
+  return {
+    response: new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    }),
+    actual
+  }
+}
+
+/**
+ * Settle with a promise, or reject once a signal aborts, whichever is first.
+ * @param {Promise<any>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<any>}
+ */
+const until_aborted = (promise, signal) => new Promise((resolve, reject) => {
+  const on_abort = () => reject(signal.reason ?? new Error('Aborted'))
+  if (signal.aborted) on_abort()
+  signal.addEventListener('abort', on_abort, { once: true })
+  promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', on_abort))
+})
+
+/**
+ * Fetch a blob from one aggregator, bounded by the per-attempt timeout and
+ * the overall deadline. Reports the outcome through `options.on_attempt`, except for attempts
+ * aborted by the caller (e.g. race losers).
+ * @param {string} aggregator - URL with trailing slash already trimmed
+ * @param {string} address
+ * @param {AbortController} controller - Aborted on timeout; callers may
+ *   abort it to cancel the attempt
+ * @param {object} options - See `try_aggregators()`
+ * @returns {Promise<Response>}
+ * @throws {Error} - On network error, timeout (`code` VERSUI_TIMEOUT),
+ *   non-2xx status (`status` set) or integrity mismatch (`code` set)
+ */
+const attempt_aggregator = async (aggregator, address, controller, options) => {
+  const { timeout = DEFAULT_TIMEOUT, deadline_at = Infinity } = options
+  const started_at = Date.now()
+  const limit = Math.min(timeout, deadline_at - started_at)
+
+  if (limit <= 0) {
+    const error = new Error(`${aggregator}: deadline exceeded`)
+    error.code = 'VERSUI_DEADLINE'
+    throw error
+  }
+
+  options.on_attempt_start?.({ aggregator })
+
+  let timed_out = false
+  const timeout_id = setTimeout(() => {
+    timed_out = true
+    controller.abort()
+  }, limit)
+
+  try {
+    const response = await request_aggregator(aggregator, address, controller.signal, options, timeout_id)
+    options.on_attempt?.({
+      aggregator,
+      ok: true,
+      latency: Date.now() - started_at,
+      status: response.status,
+      bytes: parse_content_length(response.headers)
+    })
+    return response
+  } catch (caught) {
+    let error = caught
+    if (timed_out) {
+      error = new Error(`${aggregator}: timed out after ${limit}ms`)
+      error.code = 'VERSUI_TIMEOUT'
+    }
+
+    if (timed_out || !controller.signal.aborted) {
+      options.on_attempt?.({ aggregator, ok: false, latency: Date.now() - started_at, status: error.status ?? null, error })
+    }
+    throw error
+  } finally {
+    clearTimeout(timeout_id)
+  }
+}
+
+/**
+ * Fetch and check a blob from one aggregator.
+ * @param {string} aggregator
+ * @param {string} address
+ * @param {AbortSignal} signal
+ * @param {object} options - See `try_aggregators()`
+ * @param {number} timeout_id - Cleared once response headers arrive, or
+ *   with `sha256` once the body is verified
+ * @returns {Promise<Response>}
+ * @throws {Error}
+ */
+const request_aggregator = async (aggregator, address, signal, { sha256, on_integrity_error, headers, method }, timeout_id) => {
+  const url = `${aggregator}/v1/blobs/${address}`
+  const response = await fetch(url, { signal, headers, method })
+
+  if (!response.ok) {
+    const error = new Error(`${aggregator}: ${response.status}`)
+    error.status = response.status
+    error.retry_after = parse_retry_after(response.headers.get('Retry-After'), Date.now())
+    throw error
+  }
+
+  if (!sha256) {
+    clearTimeout(timeout_id)
+    return response
+  }
+
+  // The body is read here, so a stall must time out (and fail over) like a
+  // stalled connection
+  const verified = await until_aborted(verify_response(response, sha256), signal)
+  if (verified.response) return verified.response
+
+  await on_integrity_error?.({ aggregator, expected: sha256, actual: verified.actual })
+  const error = new Error(`${aggregator}: integrity check failed`)
+  error.code = 'VERSUI_INTEGRITY_ERROR'
+  throw error
+}
+
+/**
+ * Run aggregator attempts concurrently, first success wins.
+ * A new attempt starts every `delay` ms while none has succeeded, or right
+ * away when one fails. With `delay` 0 all attempts start at once. Losing
+ * attempts are aborted.
+ * @param {string} address
+ * @param {string[]} aggregators
+ * @param {object} options - See `try_aggregators()`
+ * @param {number} delay
+ * @returns {Promise<Response>}
+ * @throws {Error} - Last error if all aggregators fail
+ */
+const hedge_aggregators = (address, aggregators, options, delay) =>
+  new Promise((resolve, reject) => {
+    const controllers = []
+    let next = 0
+    let pending = 0
+    let settled = false
+    let hedge_timer
+
+    const launch = () => {
+      clearTimeout(hedge_timer)
+      if (settled || next >= aggregators.length) return
+
+      const controller = new AbortController()
+      controllers.push(controller)
+      pending++
+
+      attempt_aggregator(aggregators[next++], address, controller, options).then(
+        response => {
+          if (settled) {
+            response.body?.cancel().catch(() => {})
+            return
+          }
+
+          settled = true
+          clearTimeout(hedge_timer)
+          controllers.forEach(other => other !== controller && other.abort())
+          resolve(response)
+        },
+        error => {
+          pending--
+          if (settled) return
+
+          if (next < aggregators.length) {
+            launch()
+          } else if (pending === 0) {
+            settled = true
+            reject(error)
+          }
+        }
+      )
+
+      if (delay > 0 && next < aggregators.length) {
+        hedge_timer = setTimeout(launch, delay)
+      }
+    }
+
+    if (delay > 0) {
+      launch()
+    } else {
+      while (next < aggregators.length) launch()
+    }
+  })
+
+/**
+ * Try each aggregator once using the given strategy.
+ * - `sequential`: one at a time, in order
+ * - `race`: all at once, first success wins
+ * - `hedged`: start the next one every `hedge_delay` ms until one succeeds
+ * @param {string} address
+ * @param {string[]} aggregators
+ * @param {object} options - See `try_aggregators()`
+ * @returns {Promise<Response>}
+ * @throws {Error} - Last error if all aggregators fail
+ */
+const run_strategy = async (address, aggregators, options) => {
+  const { strategy = 'sequential', hedge_delay = DEFAULT_HEDGE_DELAY } = options
+
+  if (strategy === 'race') return hedge_aggregators(address, aggregators, options, 0)
+  if (strategy === 'hedged') return hedge_aggregators(address, aggregators, options, hedge_delay)
+
+  let last_error
+
+  for (const aggregator of aggregators) {
+    try {
+      return await attempt_aggregator(aggregator, address, new AbortController(), options)
+    } catch (error) {
+      last_error = error
+    }
+  }
+
+  throw last_error
+}
+
+/**
+ * Try aggregators with the given strategy, retrying whole rounds.
+ * A failed round is retried (up to `retries` times) when any attempt in it
+ * failed retryably, after an exponential backoff with jitter or the
+ * aggregators' `Retry-After`, whichever is longer. An aggregator asking
+ * for more than `max_retry_delay` sits out the remaining rounds instead of
+ * holding up the others.
+ * @param {string} address
+ * @param {string[]} aggregators - URLs with trailing slashes already trimmed
+ * @param {object} [options]
+ * @param {string} [options.sha256] - Expected digest (lowercase hex);
+ *   a mismatching body fails over to the next aggregator
+ * @param {Function} [options.on_integrity_error] - Awaited with
+ *   `{ aggregator, expected, actual }` on each mismatch
+ * @param {Record<string, string>} [options.headers] - Extra request headers
+ * @param {string} [options.method] - Request method (GET by default)
+ * @param {Function} [options.on_attempt_start] - Called with
+ *   `{ aggregator }` when an attempt starts
+ * @param {Function} [options.on_attempt] - Called with
+ *   `{ aggregator, ok, latency, status, bytes?, error? }` after each finished attempt
+ * @param {'sequential'|'race'|'hedged'} [options.strategy='sequential']
+ * @param {number} [options.hedge_delay=DEFAULT_HEDGE_DELAY]
+ * @param {number} [options.timeout=DEFAULT_TIMEOUT] - Per-attempt timeout in ms
+ * @param {number} [options.deadline=Infinity] - Total time budget in ms
+ * @param {number} [options.retries=0]
+ * @param {number} [options.retry_delay=DEFAULT_RETRY_DELAY]
+ * @param {number} [options.max_retry_delay=DEFAULT_MAX_RETRY_DELAY]
+ * @param {number[]} [options.retry_statuses=DEFAULT_RETRY_STATUSES]
+ * @returns {Promise<Response>}
+ * @throws {Error} - If all aggregators fail (`status` set for HTTP errors)
+ */
+const try_aggregators = async (address, aggregators, options = {}) => {
+  const {
+    deadline = Infinity,
+    retries = 0,
+    retry_delay = DEFAULT_RETRY_DELAY,
+    max_retry_delay = DEFAULT_MAX_RETRY_DELAY,
+    retry_statuses = DEFAULT_RETRY_STATUSES
+  } = options
+  const deadline_at = Date.now() + deadline
+  let remaining = aggregators
+
+  for (let retry = 0; ; retry++) {
+    const failures = []
+    const round_options = {
+      ...options,
+      deadline_at,
+      on_attempt: attempt => {
+        if (!attempt.ok) failures.push(attempt)
+        options.on_attempt?.(attempt)
+      }
+    }
+
+    try {
+      return await run_strategy(address, remaining, round_options)
+    } catch (error) {
+      const retryable = failures.filter(failure => is_retryable(failure.error, retry_statuses))
+      if (retry >= retries || retryable.length === 0) throw error
+
+      // Holding the fetch event longer than max_retry_delay is worse than
+      // failing, so such an aggregator is left out of later rounds
+      const backing_off = new Set(retryable
+        .filter(failure => (failure.error.retry_after ?? 0) > max_retry_delay)
+        .map(failure => failure.aggregator))
+      remaining = remaining.filter(aggregator => !backing_off.has(aggregator))
+      if (remaining.length === 0) throw error
+
+      const retry_after = Math.max(0, ...retryable
+        .filter(failure => !backing_off.has(failure.aggregator))
+        .map(failure => failure.error.retry_after ?? 0))
+      const delay = Math.max(backoff_delay(retry, retry_delay, max_retry_delay), retry_after)
+      if (Date.now() + delay >= deadline_at) throw error
+
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+// ============================================================================
+// Factory
+// ============================================================================
+
+/**
+ * Create a Versui handler instance.
+ * @param {object} [options]
+ * @param {boolean|string|{ name?: string }} [options.cache] - Enable Cache API
+ *   storage of Walrus blobs (cache-first). A string sets the cache name.
+ * @param {boolean|string} [options.persist] - Persist the loaded manifest in
+ *   IndexedDB and restore it after a service worker restart. A string sets
+ *   the database name.
+ * @param {'sequential'|'race'|'hedged'} [options.strategy='sequential'] -
+ *   How aggregators are tried (see `try_aggregators()`)
+ * @param {number} [options.hedge_delay=1000] - Delay in ms before the
+ *   `hedged` strategy starts the next aggregator
+ * @param {number} [options.timeout=5000] - Per-attempt timeout in ms
+ * @param {number} [options.deadline] - Total time budget in ms for one
+ *   fetch, across attempts and retries (unbounded by default)
+ * @param {number} [options.retries=0] - Extra rounds over the aggregators
+ *   after a transient failure
+ * @param {number} [options.retry_delay=250] - Backoff before the first retry
+ *   in ms, doubled each retry (with jitter)
+ * @param {number} [options.max_retry_delay=5000] - Backoff cap in ms; an
+ *   aggregator with a longer `Retry-After` is not retried
+ * @param {number[]} [options.retry_statuses] - Statuses that count as
+ *   transient (default 408, 429, 500, 502, 503, 504)
+ * @param {boolean|{ failure_threshold?: number, cooldown?: number }} [options.health] -
+ *   Track aggregator health: skip aggregators whose circuit is open and
+ *   order the rest by observed latency
+ * @param {string|false} [options.directory_index='index.html'] - Serve
+ *   `<path>/<directory_index>` for `<path>`; false disables
+ * @param {string} [options.spa_fallback] - Manifest path served (200) for
+ *   navigation requests that match nothing, e.g. `/index.html`
+ * @param {string} [options.not_found] - Manifest path served with status
+ *   404 for navigation requests that match nothing, e.g. `/404.html`
+ * @param {string|Function} [options.error_page] - For navigations that fail
+ *   on every aggregator: a manifest path (served cache-first), or a
+ *   function returning HTML from `{ status, path, error }`
+ * @param {Record<string, string|Uint8Array|{ body: BodyInit, content_type?: string }>} [options.placeholders] -
+ *   Bodies served for failed subresources, keyed by MIME type or `<type>/*`
+ *   (e.g. `{ 'image/*': TRANSPARENT_GIF }`)
+ * @param {'passthrough'|'reject'} [options.other_methods='passthrough'] -
+ *   Methods other than GET, HEAD and OPTIONS either go to the network
+ *   (`handles()` is false) or are answered with 405
+ * @param {Record<string, boolean>} [options.messages] - Set a type from
+ *   `MESSAGE_TYPES` to false to stop posting it
+ * @param {number} [options.notify_interval=DEFAULT_NOTIFY_INTERVAL] -
+ *   Milliseconds fetch notifications are collected before posting
+ * @param {number} [options.progress_interval=DEFAULT_PROGRESS_INTERVAL] -
+ *   Minimum milliseconds between VERSUI_PROGRESS messages for one response
+ * @param {string} [options.claim_scope] - Until a manifest is loaded,
+ *   `handles()` claims same-origin GET and HEAD requests under this path
+ *   and `handle()` waits for one (see `load_timeout`)
+ * @param {number} [options.load_timeout=DEFAULT_LOAD_TIMEOUT] - With
+ *   `claim_scope`, milliseconds `handle()` waits for a manifest before
+ *   passing the request to the network
+ * @param {'immediate'|'prompt'} [options.update_mode='immediate'] - With
+ *   `prompt`, clients keep the manifest they started with after a new
+ *   `load()` until `apply_update()` (new clients and reloads get the new one).
+ *   With `persist`, pins survive a worker restart
+ * @param {string|Uint8Array|CryptoKey} [options.public_key] - Ed25519 public
+ *   key (raw 32 bytes, hex or base64). When set, `load_from_url()` and
+ *   `load_from_blob()` only apply manifests with a valid detached signature
+ * @param {boolean} [options.decompress=true] - Decode precompressed variants
+ *   with `DecompressionStream`. Responses built in a service worker are not
+ *   decoded by the browser, so only disable this when something downstream
+ *   honors `Content-Encoding`
+ * @returns {VersuiHandler}
+ * @throws {Error} - If `strategy` is unknown
+ */
+export function create_versui_handler(options = {}) {
+  const cache_name = resolve_cache_name(options.cache)
+  const db_name = resolve_db_name(options.persist)
+  const {
+    strategy = 'sequential',
+    hedge_delay = DEFAULT_HEDGE_DELAY,
+    timeout = DEFAULT_TIMEOUT,
+    deadline = Infinity,
+    retries = 0,
+    retry_delay = DEFAULT_RETRY_DELAY,
+    max_retry_delay = DEFAULT_MAX_RETRY_DELAY,
+    retry_statuses = DEFAULT_RETRY_STATUSES
+  } = options
+  const upstream_options = {
+    strategy,
+    hedge_delay,
+    timeout,
+    deadline,
+    retries,
+    retry_delay,
+    max_retry_delay,
+    retry_statuses
+  }
+  const health_config = resolve_health_config(options.health)
+  const {
+    directory_index = 'index.html',
+    decompress = true,
+    public_key,
+    other_methods = 'passthrough',
+    placeholders = {},
+    update_mode = 'immediate',
+    messages = {},
+    notify_interval = DEFAULT_NOTIFY_INTERVAL,
+    progress_interval = DEFAULT_PROGRESS_INTERVAL,
+    load_timeout = DEFAULT_LOAD_TIMEOUT
+  } = options
+  const spa_fallback = options.spa_fallback ? normalize_path(options.spa_fallback) : null
+  const not_found = options.not_found ? normalize_path(options.not_found) : null
+  const error_page = typeof options.error_page === 'string' ? normalize_path(options.error_page) : options.error_page
+  const claim_scope = options.claim_scope === undefined ? null : normalize_base_path(options.claim_scope)
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy: ${strategy}`)
+  }
+
+  for (const type of Object.keys(messages)) {
+    if (!MESSAGE_TYPES.includes(type)) throw new Error(`Unknown message type: ${type}`)
+  }
+
+  // Instance state (closure-scoped)
+  let manifest = { version: null, resources: new Map(), aggregators: [], headers: {}, header_rules: [], redirects: [], base_path: '' }
+  let success_notified = false
+  let restore_promise = null
+  let restore_settled = !db_name
+  let pins_promise = null
+  let pins_settled = !db_name || update_mode !== 'prompt'
+  // Requests handles() claimed while the restore was still pending
+  const held_requests = new WeakSet()
+  let verify_key_promise = null
+  const client_manifests = new Map()
+  let persist_promise = Promise.resolve()
+  const health = new Map()
+  const listeners = new Map()
+  const inflight = new Map()
+  let mark_ready
+  const ready_promise = new Promise(resolve => {
+    mark_ready = resolve
+  })
+  let metrics = { requests: 0, successes: 0, failures: 0, aggregators: new Map() }
+  const pending_notifications = new Map()
+  let notify_timer = null
+
+  /**
+   * Broadcast a message to all clients unless its type is disabled.
+   * @param {object} message
+   * @param {ClientQueryOptions} [query]
+   * @returns {Promise<void>} - Never rejects
+   */
+  const broadcast = async (message, query) => {
+    if (messages[message.type] === false) return
+    await notify_clients(message, query).catch(() => {})
+  }
+
+  /**
+   * Post queued fetch notifications, one batch per target.
+   * @returns {Promise<void>}
+   */
+  const flush_notifications = async () => {
+    notify_timer = null
+    const batches = [...pending_notifications.values()]
+    pending_notifications.clear()
+
+    for (const { client_ids, queued } of batches) {
+      const clients = client_ids.length > 0 ? await find_client(client_ids) : await self.clients.matchAll()
+      for (const message of queued) clients.forEach(client => client.postMessage(message))
+    }
+  }
+
+  /**
+   * Queue a notification for the client behind a fetch event (the client a
+   * navigation creates, else the one that sent the request; all clients when
+   * the event names none). Messages are posted after `notify_interval`, with
+   * only the latest VERSUI_LOADING, and VERSUI_PROGRESS per path, kept per
+   * target. Never blocks the fetch.
+   * @param {FetchEvent} event
+   * @param {object} message
+   */
+  const notify = (event, message) => {
+    if (messages[message.type] === false) return
+
+    const client_ids = [event.resultingClientId, event.clientId].filter(Boolean)
+    const key = client_ids.join(' ')
+    if (!pending_notifications.has(key)) pending_notifications.set(key, { client_ids, queued: [] })
+
+    const batch = pending_notifications.get(key)
+    if (message.type === 'VERSUI_LOADING') {
+      batch.queued = batch.queued.filter(queued => queued.type !== 'VERSUI_LOADING')
+    } else if (message.type === 'VERSUI_PROGRESS') {
+      batch.queued = batch.queued.filter(queued => queued.type !== 'VERSUI_PROGRESS' || queued.path !== message.path)
+    }
+    batch.queued.push(message)
+
+    notify_timer ??= setTimeout(() => flush_notifications().catch(() => {}), notify_interval)
+  }
+
+  /**
+   * Call the listeners registered for an event.
+   * @param {string} event_name
+   * @param {object} details
+   */
+  const emit = (event_name, details) => {
+    for (const listener of listeners.get(event_name) ?? []) {
+      try {
+        listener(details)
+      } catch {
+        // A failing listener must not break the fetch
+      }
+    }
+  }
+
+  /**
+   * Record a finished aggregator attempt in the metrics.
+   * @param {{ aggregator: string, ok: boolean, latency: number }} attempt
+   */
+  const record_attempt = ({ aggregator, ok, latency }) => {
+    if (!metrics.aggregators.has(aggregator)) {
+      metrics.aggregators.set(aggregator, { attempts: 0, errors: 0, latencies: [] })
+    }
+
+    const record = metrics.aggregators.get(aggregator)
+    record.attempts++
+    if (!ok) record.errors++
+    record.latencies.push(latency)
+    if (record.latencies.length > METRICS_WINDOW) record.latencies.shift()
+  }
+
+  /**
+   * Try a manifest's aggregators with the configured strategy.
+   * @param {string} address
+   * @param {object} [extra] - Per-call `try_aggregators()` options
+   * @param {object} [target=manifest] - Manifest whose aggregators to use
+   * @returns {Promise<Response>}
+   */
+  const fetch_upstream = (address, extra = {}, target = manifest) => {
+    const now = Date.now()
+    const aggregators = health_config
+      ? order_by_health(target.aggregators, health, now, health_config)
+      : target.aggregators
+
+    // Claim the single trial of each half-open aggregator in this order, so
+    // concurrent requests skip it until the trial has finished
+    const trials = new Set(health_config
+      ? aggregators.filter(aggregator => {
+        const record = health.get(aggregator)
+        return circuit_state(record, now, health_config) === 'half-open' && !record.trial_in_flight
+      })
+      : [])
+    const end_trial = aggregator => {
+      if (!trials.delete(aggregator)) return
+      health.set(aggregator, { ...health.get(aggregator), trial_in_flight: false })
+    }
+    for (const aggregator of trials) health.set(aggregator, { ...health.get(aggregator), trial_in_flight: true })
+
+    return try_aggregators(address, aggregators, {
+      ...upstream_options,
+      ...extra,
+      on_attempt_start: ({ aggregator }) => emit('attempt', { id: address, aggregator }),
+      on_attempt: attempt => {
+        // An aggregator without HEAD support is not failing; fetch_head()
+        // falls back to GET
+        const unsupported = extra.method === 'HEAD' && [405, 501].includes(attempt.error?.status)
+        if (!unsupported) record_attempt(attempt)
+        if (!attempt.ok && !unsupported) {
+          const { aggregator, latency, status, error } = attempt
+          emit('attempt_error', { id: address, aggregator, latency, status, error: error.message })
+        }
+        extra.on_attempt?.(attempt)
+
+        // Neither that nor a rejected range says anything about its health
+        if (health_config && !unsupported && attempt.error?.status !== 416) {
+          health.set(attempt.aggregator, update_health(health.get(attempt.aggregator), attempt, Date.now(), health_config))
+        }
+        end_trial(attempt.aggregator)
+      }
+    }).finally(() => {
+      // Trials never attempted or aborted (e.g. race losers) are released
+      for (const aggregator of trials) end_trial(aggregator)
+    })
+  }
+
+  /**
+   * Share one upstream fetch among concurrent requests for the same blob.
+   * Callers arriving while it is pending attach to it, and each gets its own
+   * tee of the body, so one consumer cancelling leaves the others intact.
+   * Only the first caller's `start()` runs, with its callbacks, so the
+   * key includes the digest: a caller that needs the body verified never
+   * attaches to an unverified fetch.
+   * @param {{ address: string, sha256?: string }} entry
+   * @param {() => Promise<Response>} start - Starts the upstream fetch
+   * @returns {Promise<Response>}
+   * @throws {Error} - The shared fetch's error, for every caller
+   */
+  const fetch_shared = async (entry, start) => {
+    const key = `${entry.address}#${entry.sha256 ?? ''}`
+    if (!inflight.has(key)) {
+      const pending = start().finally(() => inflight.delete(key))
+      inflight.set(key, { promise: pending, waiters: 0, source: null })
+    }
+
+    const shared = inflight.get(key)
+    shared.waiters++
+    const response = await shared.promise
+    shared.source ??= response
+
+    // The last waiter takes what is left of the body
+    shared.waiters--
+    if (shared.waiters === 0 || !shared.source.body) return shared.source
+
+    const [mine, rest] = shared.source.body.tee()
+    shared.source = with_body(shared.source, rest)
+    return with_body(shared.source, mine)
+  }
+
+  /**
+   * Fetch a blob, serving from Cache Storage first when caching is enabled.
+   * Fresh aggregator responses are written back to the cache in the
+   * background (kept alive through `event.waitUntil()` when available).
+   * Only verified bodies reach the cache, marked with their digest, so
+   * trusted hits are not re-hashed; an untrusted hit is fetched again.
+   * @param {{ id: string, sha256?: string }} entry
+   * @param {object} [context]
+   * @param {FetchEvent} [context.event]
+   * @param {Function} [context.on_integrity_error]
+   * @param {Function} [context.on_attempt] - See `try_aggregators()`
+   * @param {object} [context.manifest] - Manifest serving the request
+   *   (defaults to the current one)
+   * @returns {Promise<Response>}
+   * @throws {Error} - If all aggregators fail
+   */
+  const fetch_blob = async (entry, { event, on_integrity_error, on_attempt, manifest: target } = {}) => {
+    const verification = { sha256: entry.sha256, on_integrity_error, on_attempt }
+    if (!cache_name) return fetch_shared(entry, () => fetch_upstream(entry.address, verification, target))
+
+    const key = cache_key(entry.address)
+    const cache = await caches.open(cache_name)
+    const cached = await cache.match(key)
+    if (cached && is_trusted_hit(cached, entry)) return cached
+
+    return fetch_shared(entry, async () => {
+      const response = await fetch_upstream(entry.address, verification, target)
+      const stored = cache.put(key, mark_verified(response.clone(), entry.sha256)).catch(() => {})
+      event?.waitUntil?.(stored)
+      return response
+    })
+  }
+
+  /**
+   * Fetch the best precompressed variant of an entry, falling back to the
+   * identity variant when none fits or the variant cannot be fetched.
+   * @param {object} entry
+   * @param {string|null} encoding - From `pick_encoding()`
+   * @param {object} [context] - Passed through to `fetch_blob()`
+   * @returns {Promise<{ response: Response, content_encoding: string|null }>}
+   * @throws {Error} - If all aggregators fail for the identity variant
+   */
+  const fetch_encoded = async (entry, encoding, context) => {
+    if (encoding) {
+      try {
+        const response = await fetch_blob(entry.variants[encoding], context)
+        if (!decompress) return { response, content_encoding: encoding }
+
+        const decoded = response.body.pipeThrough(new DecompressionStream(ENCODINGS[encoding]))
+        return { response: new Response(decoded), content_encoding: null }
+      } catch {
+        // Fall back to identity below
+      }
+    }
+
+    return { response: await fetch_blob(entry, context), content_encoding: null }
+  }
+
+  /**
+   * Look up the size of a blob without downloading it when possible: from
+   * the cache, else with an upstream HEAD, else (aggregator without HEAD
+   * support) by fetching the body.
+   * @param {object} entry
+   * @param {object} [target=manifest]
+   * @returns {Promise<{ content_length: string|null, last_modified: string|null }>}
+   * @throws {Error} - If all aggregators fail
+   */
+  const fetch_head = async (entry, target = manifest) => {
+    if (cache_name) {
+      const cached = await (await caches.open(cache_name)).match(cache_key(entry.address))
+      if (cached && is_trusted_hit(cached, entry)) {
+        return {
+          content_length: String((await cached.blob()).size),
+          last_modified: cached.headers.get('Last-Modified')
+        }
+      }
+    }
+
+    try {
+      const upstream = await fetch_upstream(entry.address, { method: 'HEAD' }, target)
+      return {
+        content_length: upstream.headers.get('Content-Length'),
+        last_modified: upstream.headers.get('Last-Modified')
+      }
+    } catch (error) {
+      if (error.status !== 405 && error.status !== 501) throw error
+    }
+
+    const response = await fetch_blob(entry, { manifest: target })
+    return {
+      content_length: String((await response.arrayBuffer()).byteLength),
+      last_modified: response.headers.get('Last-Modified')
+    }
+  }
+
+  /**
+   * Fetch a byte range of a blob as a 206/416 response.
+   * The range is requested upstream only when the full body is not needed
+   * (no integrity check, no caching); otherwise, or when the aggregator
+   * ignores the range, the full body is sliced locally. Cache hits are
+   * sliced as a `Blob`; only fresh downloads are buffered.
+   * @param {{ id: string, sha256?: string }} entry
+   * @param {{ start: number|null, end: number|null }} range
+   * @param {string} content_type
+   * @param {object} [context] - Passed through to `fetch_blob()`
+   * @returns {Promise<Response>}
+   * @throws {Error} - If all aggregators fail
+   */
+  const fetch_range = async (entry, range, content_type, context) => {
+    if (!entry.sha256 && !cache_name) {
+      try {
+        const upstream = await fetch_upstream(entry.address, {
+          headers: { Range: format_range_header(range) },
+          on_attempt: context?.on_attempt
+        }, context?.manifest)
+        const content_range = upstream.headers.get('Content-Range')
+
+        if (upstream.status !== 206 || !content_range) {
+          return slice_range_response(await upstream.blob(), range, content_type)
+        }
+
+        const headers = {
+          'Content-Type': content_type,
+          'Content-Range': content_range,
+          'Accept-Ranges': 'bytes'
+        }
+        const content_length = upstream.headers.get('Content-Length')
+        if (content_length) headers['Content-Length'] = content_length
+
+        return new Response(upstream.body, { status: 206, statusText: 'Partial Content', headers })
+      } catch (error) {
+        // Upstream rejected the range itself; the full body yields a proper 416
+        if (error.status !== 416) throw error
+      }
+    }
+
+    const response = await fetch_blob(entry, context)
+    return slice_range_response(await response.blob(), range, content_type)
+  }
+
+  /**
+   * Validate a manifest and compile it for lookups.
+   * @param {object} data
+   * @param {Record<string, string|object>} data.resources
+   * @param {string[]} data.aggregators
+   * @param {Record<string, string|null>} [data.headers]
+   * @param {Record<string, Record<string, string|null>>} [data.header_rules]
+   * @param {string|number} [data.version]
+   * @param {Array<{ from: string, to: string, status?: number }>} [data.redirects]
+   * @param {string} [data.base_path]
+   * @returns {object} - The compiled manifest; `source` keeps the fields
+   *   needed to persist it
+   */
+  const compile_manifest = data => {
+    const {
+      resources: res,
+      aggregators: agg,
+      headers = {},
+      header_rules: rules = {},
+      redirects = [],
+      version = null,
+      base_path = '/'
+    } = data
+
+    // Validate aggregators
+    if (!Array.isArray(agg) || agg.length === 0) {
+      throw new Error('load() requires non-empty aggregators array')
+    }
+
+    // Validate resources
+    if (res === null || typeof res !== 'object' || Array.isArray(res)) {
+      throw new Error('load() requires resources object')
+    }
+
+    // Validate each aggregator URL
+    for (const url of agg) {
+      try {
+        new URL(url)
+      } catch {
+        throw new Error(`Invalid aggregator URL: ${url}`)
+      }
+    }
+
+    const entries = new Map()
+    for (const [path, value] of Object.entries(res)) {
+      entries.set(normalize_path(path), normalize_entry(path, value))
+    }
+
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('load() requires header_rules to be an object')
+    }
+    const compiled_rules = Object.entries(rules).map(([pattern, rule_headers]) => ({
+      pattern: compile_path_pattern(pattern),
+      headers: validate_header_map(rule_headers, `header_rules[${pattern}]`)
+    }))
+    validate_header_map(headers, 'headers')
+    const base = normalize_base_path(base_path)
+
+    if (!Array.isArray(redirects)) {
+      throw new Error('load() requires redirects to be an array')
+    }
+    const compiled_redirects = redirects.map(compile_redirect)
+
+    return {
+      version,
+      resources: entries,
+      // Store aggregators with trailing slashes trimmed
+      aggregators: agg.map(trim_trailing_slash),
+      headers,
+      header_rules: compiled_rules,
+      redirects: compiled_redirects,
+      base_path: base,
+      source: pick_manifest(data)
+    }
+  }
+
+  /**
+   * Validate a manifest and make it the active one.
+   * @param {object} data - See `compile_manifest()`
+   * @returns {object} - The manifest it replaced
+   */
+  const apply_manifest = data => {
+    // Build everything first so a bad entry leaves the previous manifest intact
+    const next = compile_manifest(data)
+    const previous = manifest
+    manifest = next
+
+    // Reset success notification flag
+    success_notified = false
+    mark_ready()
+
+    return previous
+  }
+
+  /**
+   * Manifest serving a fetch event. In `prompt` update mode each client is
+   * pinned to the manifest that was current when it first fetched, until
+   * `apply_update()`; navigations are keyed by the client they create.
+   * @param {FetchEvent} event
+   * @returns {object}
+   */
+  const manifest_for = event => {
+    if (update_mode !== 'prompt') return manifest
+
+    const client_id = event.resultingClientId || event.clientId
+    if (!client_id) return manifest
+
+    if (!client_manifests.has(client_id)) {
+      client_manifests.set(client_id, manifest)
+      persist_pins()
+    }
+    return client_manifests.get(client_id)
+  }
+
+  /**
+   * Forget pinned clients that no longer exist.
+   * @returns {Promise<void>}
+   */
+  const prune_clients = async () => {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true })
+    const alive = new Set(clients.map(client => client.id))
+    for (const client_id of client_manifests.keys()) {
+      if (!alive.has(client_id)) client_manifests.delete(client_id)
+    }
+    persist_pins()
+  }
+
+  /**
+   * Persist which manifest each client is pinned to, next to the current
+   * manifest, so `prompt` mode survives the browser stopping an idle worker.
+   * Each pinned manifest is stored once.
+   */
+  const persist_pins = () => {
+    if (!db_name || update_mode !== 'prompt') return
+    // Merge the persisted pins first so they are not overwritten
+    if (!pins_settled) {
+      restore_pins().then(persist_pins)
+      return
+    }
+
+    const manifests = []
+    const clients = {}
+    for (const [client_id, pinned] of client_manifests) {
+      if (!manifests.includes(pinned.source)) manifests.push(pinned.source)
+      clients[client_id] = manifests.indexOf(pinned.source)
+    }
+
+    persist_promise = persist_promise
+      .then(() => idb_put(db_name, PINS_KEY, { manifests, clients }))
+      .catch(() => {})
+  }
+
+  /**
+   * Restore persisted client pins, once per handler. Pins made since the
+   * worker started win over persisted ones.
+   * @returns {Promise<void>} - Never rejects
+   */
+  const restore_pins = () => {
+    if (pins_settled) return Promise.resolve()
+
+    pins_promise ??= idb_get(db_name, PINS_KEY)
+      .then(record => {
+        if (!record) return
+
+        const compiled = record.manifests.map(source => {
+          try {
+            return compile_manifest(source)
+          } catch {
+            return null
+          }
+        })
+        for (const [client_id, index] of Object.entries(record.clients)) {
+          if (compiled[index] && !client_manifests.has(client_id)) client_manifests.set(client_id, compiled[index])
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        pins_settled = true
+      })
+
+    return pins_promise
+  }
+
+  /**
+   * Load resources and aggregators from bootstrap message.
+   * @param {object} data
+   * @param {Record<string, string|{ id?: string, blob_id?: string, quilt_patch_id?: string, quilt_id?: string, identifier?: string, sha256?: string, variants?: Record<string, string|object> }>} data.resources -
+   *   Map of path to an ID string, or to an object with exactly one
+   *   addressing mode: `id` (same as the string), `blob_id`,
+   *   `quilt_patch_id`, or `quilt_id` + `identifier` (see
+   *   `resolve_address()`). Objects may add `sha256` to verify content and
+   *   `variants`, precompressed entries keyed by encoding
+   * @param {string[]} data.aggregators - Ordered list of aggregator URLs
+   * @param {string|number} [data.version] - Manifest version, stored with the
+   *   persisted manifest
+   * @param {Record<string, string|null>} [data.headers] - Headers for every
+   *   response; `null` removes a default
+   * @param {Record<string, Record<string, string|null>>} [data.header_rules] -
+   *   Path or glob (`/assets/*`) to headers, applied in order after `headers`
+   * @param {Array<{ from: string, to: string, status?: number }>} [data.redirects] -
+   *   Ordered redirect (301/302/307/308, the default 301) and rewrite (200)
+   *   rules for paths that match no resource; see `compile_redirect()`
+   * @param {string} [data.base_path='/'] - Where the site is mounted, e.g.
+   *   `/app`; stripped from request paths before looking up `resources`
+   * @returns {{ added: string[], removed: string[], changed: string[] }|null} -
+   *   Changes against the previous manifest, or null on the first load
+   */
+  const load = data => {
+    const previous = apply_manifest(data)
+    const diff = previous.aggregators.length > 0 ? diff_resources(previous.resources, manifest.resources) : null
+
+    if (diff && (diff.added.length + diff.removed.length + diff.changed.length > 0 || previous.version !== manifest.version)) {
+      broadcast({
+        type: 'VERSUI_UPDATE_AVAILABLE',
+        version: manifest.version,
+        previous_version: previous.version,
+        diff
+      })
+
+      if (update_mode === 'prompt') prune_clients().catch(() => {})
+    }
+
+    // An explicit load always wins over a restore still in flight
+    restore_promise = Promise.resolve(true)
+
+    if (db_name) {
+      persist_promise = idb_put(db_name, MANIFEST_KEY, pick_manifest(data)).catch(() => {})
+    }
+
+    return diff
+  }
+
+  /**
+   * Move clients pinned to an older manifest onto the current one.
+   * @param {string} [client_id] - Defaults to every client
+   */
+  const apply_update = client_id => {
+    if (!pins_settled) {
+      restore_pins().then(() => apply_update(client_id))
+      return
+    }
+
+    if (client_id === undefined) client_manifests.clear()
+    else client_manifests.set(client_id, manifest)
+    persist_pins()
+  }
+
+  /**
+   * Import the configured Ed25519 public key, once per handler.
+   * @returns {Promise<CryptoKey>}
+   */
+  const get_verify_key = () => {
+    verify_key_promise ??= typeof CryptoKey !== 'undefined' && public_key instanceof CryptoKey
+      ? Promise.resolve(public_key)
+      : crypto.subtle.importKey('raw', decode_bytes(public_key), { name: 'Ed25519' }, false, ['verify'])
+    return verify_key_promise
+  }
+
+  /**
+   * Verify (when a public key is configured), parse and load a manifest.
+   * Nothing is applied unless every step succeeds.
+   * @param {ArrayBuffer} body - Raw manifest bytes, as signed
+   * @param {() => Promise<Uint8Array>|null} get_signature - null if no
+   *   signature source was given
+   * @param {string[]} fallback_aggregators - Used when the manifest has none
+   * @returns {Promise<void>}
+   * @throws {Error} - On missing/invalid signature or invalid manifest
+   */
+  const load_signed = async (body, get_signature, fallback_aggregators) => {
+    if (public_key) {
+      if (!get_signature) throw new Error('Manifest signature required')
+
+      const signature = await get_signature()
+      const valid = await crypto.subtle.verify({ name: 'Ed25519' }, await get_verify_key(), signature, body)
+      if (!valid) throw new Error('Manifest signature verification failed')
+    }
+
+    let parsed
+    try {
+      parsed = JSON.parse(new TextDecoder().decode(body))
+    } catch {
+      throw new Error('Manifest is not valid JSON')
+    }
+
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Manifest must be a JSON object')
+    }
+
+    load({ ...parsed, aggregators: parsed.aggregators ?? fallback_aggregators })
+  }
+
+  /**
+   * Fetch a JSON manifest from a URL and load it.
+   * @param {string} url
+   * @param {object} [source]
+   * @param {string|Uint8Array} [source.signature] - Detached signature
+   * @param {string} [source.signature_url] - Where to fetch the signature
+   *   (defaults to `<url>.sig` when a public key is configured)
+   * @returns {Promise<void>}
+   * @throws {Error} - If fetching, verification or validation fails
+   */
+  const load_from_url = async (url, { signature, signature_url } = {}) => {
+    const fetch_ok = async target => {
+      const response = await fetch(target)
+      if (!response.ok) throw new Error(`Manifest fetch failed: ${target}: ${response.status}`)
+      return response
+    }
+
+    const body = await (await fetch_ok(url)).arrayBuffer()
+    const get_signature = signature
+      ? async () => decode_bytes(signature)
+      : async () => read_signature(await fetch_ok(signature_url ?? `${url}.sig`))
+
+    await load_signed(body, get_signature, manifest.aggregators)
+  }
+
+  /**
+   * Fetch a JSON manifest stored on Walrus through aggregator failover and
+   * load it.
+   * @param {string} manifest_patch_id
+   * @param {object} [source]
+   * @param {string[]} [source.aggregators] - Aggregators to fetch from
+   *   (defaults to the current ones); also used if the manifest lists none
+   * @param {string|Uint8Array} [source.signature] - Detached signature
+   * @param {string} [source.signature_patch_id] - Walrus ID of the signature
+   * @returns {Promise<void>}
+   * @throws {Error} - If fetching, verification or validation fails
+   */
+  const load_from_blob = async (manifest_patch_id, { aggregators: agg, signature, signature_patch_id } = {}) => {
+    const sources = agg ? agg.map(trim_trailing_slash) : manifest.aggregators
+    if (sources.length === 0) {
+      throw new Error('load_from_blob() requires aggregators')
+    }
+
+    const body = await (await try_aggregators(manifest_patch_id, sources, upstream_options)).arrayBuffer()
+    let get_signature = null
+    if (signature) {
+      get_signature = async () => decode_bytes(signature)
+    } else if (signature_patch_id) {
+      get_signature = async () => read_signature(await try_aggregators(signature_patch_id, sources, upstream_options))
+    }
+
+    await load_signed(body, get_signature, agg ?? manifest.aggregators)
+  }
+
+  /**
+   * Resolve once a manifest is active, from `load()` or a restore.
+   * @returns {Promise<void>}
+   */
+  const ready = () => {
+    if (db_name) restore()
+    return ready_promise
+  }
+
+  /**
+   * Wait for a manifest, up to `load_timeout`.
+   * @returns {Promise<boolean>} - false on timeout
+   */
+  const wait_for_manifest = () => {
+    let timer
+    const timed_out = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), load_timeout)
+    })
+
+    return Promise.race([ready().then(() => true), timed_out]).finally(() => clearTimeout(timer))
+  }
+
+  /**
+   * Restore the persisted manifest, once per handler. Started automatically
+   * when persistence is enabled; safe to await from `fetch` handlers.
+   * @returns {Promise<boolean>} - true if a manifest is available
+   */
+  const restore = () => {
+    if (!db_name) return Promise.resolve(manifest.aggregators.length > 0)
+
+    restore_pins()
+
+    restore_promise ??= idb_get(db_name, MANIFEST_KEY)
+      .then(record => {
+        // load() may have run while the read was pending
+        if (manifest.aggregators.length > 0) return true
+        if (!record) return false
+
+        apply_manifest(record)
+        return true
+      })
+      .catch(() => manifest.aggregators.length > 0)
+      .finally(() => {
+        restore_settled = true
+      })
+
+    return restore_promise
+  }
+
+  /**
+   * Read the version of the persisted manifest.
+   * @returns {Promise<string|number|null>}
+   */
+  const get_manifest_version = async () => {
+    if (!db_name) return null
+
+    await persist_promise
+    const record = await idb_get(db_name, MANIFEST_KEY).catch(() => null)
+    return record?.version ?? null
+  }
+
+  /**
+   * Merge response headers: handler-computed base, then defaults, global
+   * headers and matching rules, later ones winning. A rule matches the
+   * requested path or the manifest path actually served.
+   * @param {HeadersInit} base
+   * @param {string[]} paths
+   * @param {object} [target=manifest]
+   * @returns {Headers}
+   */
+  const build_headers = (base, paths, target = manifest) => {
+    const merged = new Headers(base)
+    const layers = [
+      DEFAULT_HEADERS,
+      target.headers,
+      ...target.header_rules
+        .filter(rule => paths.some(path => rule.pattern.test(path)))
+        .map(rule => rule.headers)
+    ]
+
+    for (const layer of layers) {
+      for (const [name, value] of Object.entries(layer)) {
+        if (value === null) merged.delete(name)
+        else merged.set(name, value)
+      }
+    }
+
+    return merged
+  }
+
+  /**
+   * Map a path to the resource that serves it, by exact match or directory
+   * index.
+   * @param {string} path
+   * @param {Map<string, object>} resources
+   * @returns {string|null}
+   */
+  const resolve_resource = (path, resources) => {
+    if (resources.has(path)) return path
+
+    if (directory_index) {
+      const index_path = directory_index_path(path, directory_index)
+      if (resources.has(index_path)) return index_path
+    }
+
+    return null
+  }
+
+  /**
+   * Map a normalized path to the manifest entry that serves it, or to a
+   * redirect. Order: exact match, directory index, redirect rules (a rewrite
+   * whose target is missing is skipped), then (navigations only) the SPA
+   * fallback and the custom 404 page. Navigating to a directory without its
+   * trailing slash redirects (301) to it, so relative URLs in the index page
+   * resolve against the directory.
+   * @param {string} path
+   * @param {boolean} navigate
+   * @param {object} [target=manifest]
+   * @param {boolean} [trailing_slash=true] - Whether the requested path
+   *   ended with `/`
+   * @returns {{ path: string, status: number }|{ location: string, status: number }|null}
+   */
+  const resolve_route = (path, navigate, target = manifest, trailing_slash = true) => {
+    const { resources } = target
+    const resource = resolve_resource(path, resources)
+    if (resource && navigate && resource !== path && !trailing_slash) {
+      return { location: `${target.base_path}${path === '/' ? '' : path}/`, status: 301 }
+    }
+    if (resource) return { path: resource, status: 200 }
+
+    for (const rule of target.redirects) {
+      const destination = match_redirect(rule, path)
+      if (destination === null) continue
+
+      if (rule.status !== 200) {
+        // Internal targets stay under the site's base path
+        const location = destination.startsWith('/') ? `${target.base_path}${destination}` : destination
+        return { location, status: rule.status }
+      }
+
+      const rewritten = resolve_resource(normalize_path(destination), resources)
+      if (rewritten) return { path: rewritten, status: 200 }
+    }
+
+    if (!navigate) return null
+    if (spa_fallback && resources.has(spa_fallback)) return { path: spa_fallback, status: 200 }
+    if (not_found && resources.has(not_found)) return { path: not_found, status: 404 }
+
+    return null
+  }
+
+  /**
+   * Report download progress of a response body as it is read: throttled
+   * VERSUI_PROGRESS messages, then VERSUI_COMPLETE and a `complete` event
+   * once it is fully read or aborted. Returns the body untouched when
+   * nobody is listening.
+   * @param {ReadableStream|null} body
+   * @param {FetchEvent} event
+   * @param {string} path
+   * @param {number|null} total - Upstream Content-Length
+   * @returns {ReadableStream|null}
+   */
+  const track_progress = (body, event, path, total) => {
+    const reported = messages.VERSUI_PROGRESS !== false || messages.VERSUI_COMPLETE !== false || listeners.get('complete')?.size > 0
+    if (!body || !reported) return body
+
+    let last_progress = Date.now()
+    return count_bytes(
+      body,
+      loaded => {
+        const now = Date.now()
+        if (now - last_progress < progress_interval) return
+        last_progress = now
+        notify(event, { type: 'VERSUI_PROGRESS', path, loaded, total })
+      },
+      (loaded, aborted) => {
+        notify(event, { type: 'VERSUI_COMPLETE', path, loaded, total, aborted })
+        emit('complete', { path, loaded, total, aborted })
+      }
+    )
+  }
+
+  /**
+   * Body of the configured error page, or null when there is none or it
+   * cannot be served either.
+   * @param {{ status: number, path: string, error: string }} details
+   * @param {object} target - Manifest serving the request
+   * @returns {Promise<BodyInit|null>}
+   */
+  const render_error_page = async (details, target) => {
+    if (typeof error_page === 'function') {
+      try {
+        return (await error_page(details)) ?? null
+      } catch {
+        return null
+      }
+    }
+
+    const entry = error_page && target.resources.get(error_page)
+    if (!entry) return null
+
+    try {
+      return (await fetch_blob(entry, { manifest: target })).body
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Response for a request that failed on every aggregator: the error page
+   * for navigations, a placeholder for subresources, else plain text.
+   * @param {Error} error
+   * @param {object} request
+   * @param {FetchEvent} request.event
+   * @param {string} request.path
+   * @param {string} request.content_type
+   * @param {string[]} request.header_paths
+   * @param {object} request.target
+   * @returns {Promise<Response>}
+   */
+  const error_response = async (error, { event, path, content_type, header_paths, target }) => {
+    const { status, status_text } = failure_status(error)
+    const init = body_type => ({
+      status,
+      statusText: status_text,
+      headers: build_headers({ 'Content-Type': body_type }, header_paths, target)
+    })
+
+    if (is_navigation_request(event.request)) {
+      const page = await render_error_page({ status, path, error: error.message }, target)
+      if (page !== null) return new Response(page, init(MIME_TYPES['.html']))
+    } else {
+      const placeholder = find_placeholder(placeholders, content_type)
+      if (placeholder) return new Response(placeholder.body, init(placeholder.content_type))
+    }
+
+    return new Response('Walrus fetch failed', init('text/plain'))
+  }
+
+  /**
+   * Check if handler should process this request.
+   * @param {Request} request
+   * @param {string} [client_id] - In `prompt` update mode, answer for the
+   *   manifest this client is pinned to
+   * @returns {boolean}
+   */
+  const handles = (request, client_id) => {
+    const method = request.method ?? 'GET'
+
+    if (manifest.aggregators.length === 0) {
+      restore()
+
+      // Claim what the manifest will likely serve; handle() waits for it
+      if (claim_scope !== null && (method === 'GET' || method === 'HEAD')) {
+        return is_own_origin(request.url) && strip_base_path(normalize_path(request.url), claim_scope) !== null
+      }
+
+      // A fetch that woke the worker must not beat the IndexedDB read to
+      // the network: hold it until the restore settles
+      if (!restore_settled && (method === 'GET' || method === 'HEAD') && is_own_origin(request.url)) {
+        held_requests.add(request)
+        return true
+      }
+    }
+
+    if (!ALLOWED_METHODS.includes(method) && other_methods !== 'reject') return false
+    if (!is_own_origin(request.url)) return false
+
+    // The client may be pinned to a manifest that is still being restored
+    if (client_id && !pins_settled && (method === 'GET' || method === 'HEAD')) {
+      restore_pins()
+      held_requests.add(request)
+      return true
+    }
+
+    const target = (client_id && client_manifests.get(client_id)) || manifest
+    const normalized = strip_base_path(normalize_path(request.url), target.base_path)
+    return normalized !== null && resolve_route(normalized, is_navigation_request(request), target) !== null
+  }
+
+  /**
+   * Base path the current manifest is mounted at.
+   * @returns {string} - `/` for the origin root
+   */
+  const get_base_path = () => manifest.base_path || '/'
+
+  /**
+   * Handle fetch event, return Response from Walrus.
+   * @param {FetchEvent} event
+   * @returns {Promise<Response>}
+   * @throws {Error} - Synchronously if not initialized and nothing to restore
+   */
+  const handle = event => {
+    // Claimed before load(): wait for it, else let the network answer
+    if (manifest.aggregators.length === 0 && claim_scope !== null) {
+      return wait_for_manifest().then(loaded =>
+        loaded && handles(event.request) ? handle(event) : fetch(event.request))
+    }
+
+    // Guard: throw sync if not initialized
+    if (manifest.aggregators.length === 0) {
+      if (!db_name) {
+        throw new Error('Handler not initialized - call load() first')
+      }
+
+      // Wait for the persisted manifest after a service worker restart.
+      // Requests held while it was pending go to the network if it does not
+      // cover them
+      const held = held_requests.has(event.request)
+      return restore().then(restored => {
+        if (held && !(restored && handles(event.request, event.clientId))) return fetch(event.request)
+        if (!restored) {
+          throw new Error('Handler not initialized - call load() first')
+        }
+        return handle(event)
+      })
+    }
+
+    // A load() can beat the restore; pins must be back before manifest_for()
+    if (!pins_settled) {
+      const held = held_requests.has(event.request)
+      return restore_pins().then(() =>
+        held && !handles(event.request, event.clientId) ? fetch(event.request) : handle(event))
+    }
+
+    // Return async handling
+    return (async () => {
+      const target = manifest_for(event)
+      const request_path = normalize_path(event.request.url)
+      const path = strip_base_path(request_path, target.base_path) ?? request_path
+      const method = event.request.method ?? 'GET'
+      const route = resolve_route(path, is_navigation_request(event.request), target, has_trailing_slash(event.request.url)) ??
+        { path, status: 200 }
+      const entry = route.path && target.resources.get(route.path)
+      const content_type = get_mime_type(route.path ?? path)
+      const header_paths = route.path ? [path, route.path] : [path]
+
+      if (!ALLOWED_METHODS.includes(method) || method === 'OPTIONS') {
+        const allowed = method === 'OPTIONS'
+        return new Response(null, {
+          status: allowed ? 204 : 405,
+          statusText: allowed ? 'No Content' : 'Method Not Allowed',
+          headers: build_headers({ 'Allow': ALLOWED_METHODS.join(', ') }, header_paths, target)
+        })
+      }
+
+      const started_at = Date.now()
+      let upstream = null
+      metrics.requests++
+      emit('request', { path, method })
+
+      /**
+       * Report the outcome of this request and pass the response through.
+       * @param {Response} response
+       * @param {Error} [error]
+       * @returns {Response}
+       */
+      const finish = (response, error) => {
+        const details = { path, method, status: response.status, latency: Date.now() - started_at }
+        if (error) {
+          metrics.failures++
+          emit('error', { ...details, error: error.message })
+        } else {
+          metrics.successes++
+          emit('success', {
+            ...details,
+            aggregator: upstream?.aggregator ?? null,
+            bytes: upstream ? upstream.bytes : parse_content_length(response.headers)
+          })
+        }
+        return response
+      }
+
+      if (route.location) {
+        // Keep the query string unless the rule sets its own
+        const { search } = new URL(event.request.url)
+        const location = route.location.includes('?') ? route.location : `${route.location}${search}`
+        return finish(new Response(null, {
+          status: route.status,
+          headers: build_headers({ 'Location': location }, header_paths, target)
+        }))
+      }
+
+      // Ranges only apply to the requested resource itself, not a 404 page
+      const range = route.status === 200 && method === 'GET'
+        ? parse_range_header(event.request.headers?.get('Range'))
+        : null
+
+      // Ranges address identity bytes, so they never use a compressed variant
+      const encoding = range || method === 'HEAD'
+        ? null
+        : pick_encoding(entry?.variants, event.request.headers?.get('Accept-Encoding'), decompress)
+
+      // Decoded variants carry the identity bytes, so share its ETag
+      const etag_for = content_encoding =>
+        blob_etag(content_encoding ? entry.variants[content_encoding].id : entry.id)
+
+      // Content addresses never change: a matching ETag needs no aggregator
+      const expected_etag = entry && etag_for(decompress ? null : encoding)
+      if (entry && route.status === 200 && etag_matches(event.request.headers?.get('If-None-Match'), expected_etag)) {
+        return finish(new Response(null, {
+          status: 304,
+          statusText: 'Not Modified',
+          headers: build_headers({ 'ETag': expected_etag, 'Cache-Control': DEFAULT_CACHE_CONTROL }, header_paths, target)
+        }))
+      }
+
+      if (method === 'HEAD') {
+        const head_headers = {
+          'Content-Type': content_type,
+          'Accept-Ranges': 'bytes',
+          'Cache-Control': DEFAULT_CACHE_CONTROL
+        }
+
+        try {
+          const { content_length, last_modified } = await fetch_head(entry, target)
+          head_headers['ETag'] = expected_etag
+          if (content_length) head_headers['Content-Length'] = content_length
+          if (last_modified) head_headers['Last-Modified'] = last_modified
+
+          return finish(new Response(null, { status: route.status, headers: build_headers(head_headers, header_paths, target) }))
+        } catch (error) {
+          const { status, status_text } = failure_status(error)
+          return finish(new Response(null, {
+            status,
+            statusText: status_text,
+            headers: build_headers({}, header_paths, target)
+          }), error)
+        }
+      }
+
+      // Notify loading start
+      notify(event, { type: 'VERSUI_LOADING', path })
+
+      try {
+        const context = {
+          event,
+          manifest: target,
+          on_integrity_error: details =>
+            notify(event, { type: 'VERSUI_INTEGRITY_ERROR', path, ...details }),
+          on_attempt: attempt => {
+            if (attempt.ok) upstream = attempt
+          }
+        }
+        const { response, content_encoding } = range
+          ? { response: await fetch_range(entry, range, content_type, context), content_encoding: null }
+          : await fetch_encoded(entry, encoding, context)
+
+        // Notify first success
+        if (!success_notified) {
+          notify(event, { type: 'VERSUI_SUCCESS' })
+          success_notified = true
+        }
+
+        // Range responses already carry their status and range headers
+        if (range) {
+          const range_headers = new Headers(response.headers)
+          if (response.status === 206) {
+            range_headers.set('ETag', etag_for(null))
+            range_headers.set('Cache-Control', DEFAULT_CACHE_CONTROL)
+          }
+
+          return finish(new Response(response.body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: build_headers(range_headers, header_paths, target)
+          }))
+        }
+
+        // Return response with correct MIME type
+        const base_headers = {
+          'Content-Type': content_type,
+          'Accept-Ranges': 'bytes',
+          'ETag': etag_for(content_encoding),
+          'Cache-Control': DEFAULT_CACHE_CONTROL
+        }
+        if (entry?.variants && !decompress) base_headers['Vary'] = 'Accept-Encoding'
+        if (content_encoding) base_headers['Content-Encoding'] = content_encoding
+
+        // Only the aggregator knows when the blob was stored
+        const last_modified = response.headers.get('Last-Modified')
+        if (last_modified) base_headers['Last-Modified'] = last_modified
+
+        const body = track_progress(response.body, event, path, parse_content_length(response.headers))
+        return finish(new Response(body, {
+          status: route.status,
+          headers: build_headers(base_headers, header_paths, target)
+        }))
+      } catch (error) {
+        // Notify error
+        notify(event, { type: 'VERSUI_ERROR', error: error.message })
+
+        // Return 502 (504 on timeout) with the configured fallback
+        return finish(await error_response(error, { event, path, content_type, header_paths, target }), error)
+      }
+    })()
+  }
+
+  /**
+   * Direct fetch helper (no notifications).
+   * @param {string} path
+   * @returns {Promise<Response>}
+   * @throws {Error} - If not initialized or path not found
+   */
+  const fetch_from_walrus = async path => {
+    if (manifest.aggregators.length === 0) await restore()
+
+    // Guard: throw if not initialized
+    if (manifest.aggregators.length === 0) {
+      throw new Error('Handler not initialized - call load() first')
+    }
+
+    const normalized = normalize_path(path)
+    const route = resolve_route(normalized, false)
+    const entry = route && manifest.resources.get(route.path)
+
+    if (!entry) {
+      throw new Error(`Resource not found: ${normalized}`)
+    }
+
+    return fetch_blob(entry)
+  }
+
+  /**
+   * Download one entry into the cache unless it is already there.
+   * @param {object} entry
+   * @returns {Promise<number>} - Body size in bytes
+   * @throws {Error} - If all aggregators fail
+   */
+  const precache_entry = async entry => {
+    const key = cache_key(entry.address)
+    const cache = await caches.open(cache_name)
+    const cached = await cache.match(key)
+    if (cached && is_trusted_hit(cached, entry)) return (await cached.blob()).size
+
+    const response = await fetch_shared(entry, () => fetch_upstream(entry.address, { sha256: entry.sha256 }))
+    const body = await response.arrayBuffer()
+    await cache.put(key, mark_verified(with_body(response, body), entry.sha256))
+
+    return body.byteLength
+  }
+
+  /**
+   * Download manifest entries into the cache ahead of use, e.g. from
+   * `install` inside `event.waitUntil()`. Stores the variant `handle()`
+   * would pick, and posts `VERSUI_PRECACHE_PROGRESS` after each entry.
+   * @param {string[]|'all'|((path: string, entry: object) => boolean)} [selection='all']
+   * @param {object} [precache_options]
+   * @param {number} [precache_options.concurrency=4]
+   * @returns {Promise<{ done: number, total: number, bytes: number, failed: Array<{ path: string, error: string }> }>}
+   * @throws {Error} - If caching is disabled or the handler is not initialized
+   */
+  const precache = async (selection = 'all', { concurrency = DEFAULT_PRECACHE_CONCURRENCY } = {}) => {
+    if (!cache_name) {
+      throw new Error('precache() requires the cache option')
+    }
+
+    if (manifest.aggregators.length === 0) await restore()
+    if (manifest.aggregators.length === 0) {
+      throw new Error('Handler not initialized - call load() first')
+    }
+
+    // Select [path, entry] pairs; unknown paths are reported as failures
+    const failed = []
+    let selected
+    if (selection === 'all') {
+      selected = [...manifest.resources]
+    } else if (typeof selection === 'function') {
+      selected = [...manifest.resources].filter(([path, entry]) => selection(path, entry))
+    } else if (Array.isArray(selection)) {
+      selected = []
+      for (const path of selection) {
+        const route = resolve_route(normalize_path(path), false)
+        if (route) selected.push([route.path, manifest.resources.get(route.path)])
+        else failed.push({ path: normalize_path(path), error: 'Resource not found' })
+      }
+    } else {
+      throw new Error("precache() requires paths, 'all' or a predicate")
+    }
+
+    // One download per stored blob, even if several paths share it
+    const targets = new Map()
+    for (const [path, entry] of selected) {
+      const encoding = pick_encoding(entry.variants, null, decompress)
+      const stored = encoding ? entry.variants[encoding] : entry
+      if (!targets.has(stored.address)) targets.set(stored.address, { path, entry: stored })
+    }
+
+    const queue = [...targets.values()]
+    const total = queue.length
+    let done = 0
+    let bytes = 0
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { path, entry } = queue.shift()
+        try {
+          const size = await precache_entry(entry)
+          bytes += size
+        } catch (error) {
+          failed.push({ path, error: error.message })
+        }
+        done++
+
+        await broadcast(
+          { type: 'VERSUI_PRECACHE_PROGRESS', path, done, total, bytes, failed: failed.length },
+          { includeUncontrolled: true }
+        )
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, total)) }, worker))
+
+    return { done, total, bytes, failed }
+  }
+
+  /**
+   * Snapshot of per-aggregator health, in configured order.
+   * @returns {Array<{ url: string, state: 'closed'|'open'|'half-open', successes: number, failures: number, consecutive_failures: number, success_rate: number|null, latency: number|null }>}
+   */
+  const get_aggregator_health = () => {
+    const now = Date.now()
+
+    return manifest.aggregators.map(url => {
+      const record = health.get(url)
+      const successes = record?.successes ?? 0
+      const failures = record?.failures ?? 0
+      const total = successes + failures
+
+      return {
+        url,
+        state: health_config ? circuit_state(record, now, health_config) : 'closed',
+        successes,
+        failures,
+        consecutive_failures: record?.consecutive_failures ?? 0,
+        success_rate: total === 0 ? null : successes / total,
+        latency: record?.latency ?? null
+      }
+    })
+  }
+
+  /**
+   * Register a listener for a handler event (see `EVENTS`).
+   * @param {string} event_name
+   * @param {Function} listener - Called synchronously with the event details
+   * @returns {Function} - Removes the listener
+   * @throws {Error} - On an unknown event or a non-function listener
+   */
+  const on = (event_name, listener) => {
+    if (!EVENTS.includes(event_name)) throw new Error(`Unknown event: ${event_name}`)
+    if (typeof listener !== 'function') throw new Error('on() requires a listener function')
+
+    if (!listeners.has(event_name)) listeners.set(event_name, new Set())
+    listeners.get(event_name).add(listener)
+    return () => listeners.get(event_name).delete(listener)
+  }
+
+  /**
+   * Snapshot of request counts and per-aggregator attempt metrics, with
+   * latency percentiles over the last `METRICS_WINDOW` attempts.
+   * @returns {{ requests: number, successes: number, failures: number, aggregators: Array<{ url: string, attempts: number, errors: number, p50: number|null, p95: number|null }> }}
+   */
+  const get_metrics = () => ({
+    requests: metrics.requests,
+    successes: metrics.successes,
+    failures: metrics.failures,
+    aggregators: [...metrics.aggregators].map(([url, record]) => ({
+      url,
+      attempts: record.attempts,
+      errors: record.errors,
+      p50: percentile(record.latencies, 50),
+      p95: percentile(record.latencies, 95)
+    }))
+  })
+
+  /**
+   * Reset all metrics to zero.
+   */
+  const reset_metrics = () => {
+    metrics = { requests: 0, successes: 0, failures: 0, aggregators: new Map() }
+  }
+
+  /**
+   * Delete all cached Walrus blobs.
+   * @returns {Promise<boolean>} - true if a cache was deleted
+   */
+  const clear_cache = async () => {
+    if (!cache_name) return false
+    return caches.delete(cache_name)
+  }
+
+  /**
+   * Report cache usage.
+   * @returns {Promise<{ enabled: boolean, name: string|null, entries: number, bytes: number }>}
+   */
+  const cache_stats = async () => {
+    if (!cache_name) {
+      return { enabled: false, name: null, entries: 0, bytes: 0 }
+    }
+
+    const cache = await caches.open(cache_name)
+    const keys = await cache.keys()
+    let bytes = 0
+
+    for (const key of keys) {
+      const response = await cache.match(key)
+      if (response) bytes += (await response.blob()).size
+    }
+
+    return { enabled: true, name: cache_name, entries: keys.length, bytes }
+  }
+
+  /**
+   * Wire the handler into a service worker: load manifests posted as
+   * `message_type` by trusted clients (signed ones only when `public_key`
+   * is set), answer fetches it handles, and
+   * optionally take over right away. A fetch listener registered earlier
+   * that calls `respondWith()` wins; use `filter` to leave requests to
+   * listeners registered later.
+   * @param {ServiceWorkerGlobalScope} scope - Usually `self`
+   * @param {object} [attach_options]
+   * @param {string} [attach_options.message_type='VERSUI_RESOURCES']
+   * @param {string[]} [attach_options.origins] - Origins allowed to post
+   *   manifests (default: the service worker's own)
+   * @param {(request: Request) => boolean} [attach_options.filter] - Return
+   *   false to leave a request to other fetch listeners
+   * @param {boolean} [attach_options.skip_waiting=false] - Call
+   *   `skipWaiting()` on install
+   * @param {boolean} [attach_options.claim=false] - Call `clients.claim()`
+   *   on activate
+   * @returns {Function} - Removes the listeners
+   */
+  const attach = (scope, {
+    message_type = 'VERSUI_RESOURCES',
+    origins = [scope.location.origin],
+    filter = () => true,
+    skip_waiting = false,
+    claim = false
+  } = {}) => {
+    const wiring = {
+      message: event => {
+        if (event.data?.type !== message_type) return
+
+        // Only clients of an allowed origin may replace the manifest
+        const source = event.source
+        const origin = event.origin || (source?.url && new URL(source.url).origin)
+        if (!source || !('id' in source) || !origins.includes(origin)) return
+
+        const report = error => {
+          if (messages.VERSUI_ERROR !== false) source.postMessage({ type: 'VERSUI_ERROR', error: error.message })
+        }
+
+        // With a public key, only signed manifests are accepted:
+        // `{ type, manifest: '<signed JSON text>', signature }`
+        if (public_key) {
+          const { manifest: text, signature } = event.data
+          const loading = typeof text === 'string' && signature
+            ? load_signed(new TextEncoder().encode(text), async () => decode_bytes(signature), manifest.aggregators)
+            : Promise.reject(new Error('Manifest signature required'))
+          const settled = loading.catch(report)
+          event.waitUntil?.(settled)
+          return
+        }
+
+        try {
+          load(event.data)
+        } catch (error) {
+          report(error)
+        }
+      },
+      fetch: event => {
+        if (!filter(event.request) || !handles(event.request, event.clientId)) return
+        event.respondWith(handle(event))
+      },
+      install: event => {
+        if (skip_waiting) event.waitUntil(scope.skipWaiting())
+      },
+      activate: event => {
+        if (claim) event.waitUntil(scope.clients.claim())
+      }
+    }
+
+    for (const [type, listener] of Object.entries(wiring)) scope.addEventListener(type, listener)
+    return () => {
+      for (const [type, listener] of Object.entries(wiring)) scope.removeEventListener(type, listener)
+    }
+  }
+
+  // Start restoring right away so it is likely settled before the first fetch
+  if (db_name) restore()
+
+  return {
+    load,
+    handles,
+    handle,
+    fetch_from_walrus,
+    clear_cache,
+    cache_stats,
+    precache,
+    load_from_url,
+    load_from_blob,
+    restore,
+    get_manifest_version,
+    get_aggregator_health,
+    apply_update,
+    on,
+    get_metrics,
+    reset_metrics,
+    get_base_path,
+    ready,
+    attach
+  }
+}
+
+/**
+ * Create a registry serving several sites, each a handler with its own
+ * manifest, aggregators and state. Requests go to the site with the longest
+ * base path that handles them.
+ * @param {object} [options] - Defaults for every site's handler (see
+ *   `create_versui_handler()`). A shared `persist` gets a `-<name>` suffix so
+ *   sites never share a database.
+ * @returns {object}
+ */
+export function create_versui_registry(options = {}) {
+  const sites = new Map()
+  // Restores of persisted sites still in flight; until they settle, base
+  // paths are unknown and routing would pick the wrong site
+  const restoring = new Set()
+  const held_requests = new WeakSet()
+
+  /**
+   * Add a site. Add persisted sites at service worker startup so their
+   * manifests are restored.
+   * @param {string} name
+   * @param {object} [site_options] - Overrides for this site's handler
+   * @returns {object} - The site's handler
+   * @throws {Error} - If the name is taken
+   */
+  const add = (name, site_options = {}) => {
+    if (sites.has(name)) throw new Error(`Site already exists: ${name}`)
+
+    const persist = options.persist && `${resolve_db_name(options.persist)}-${name}`
+    const handler_options = { ...options, persist, ...site_options }
+    const handler = create_versui_handler(handler_options)
+    sites.set(name, handler)
+
+    if (handler_options.persist) {
+      const restored = handler.restore().finally(() => restoring.delete(restored))
+      restoring.add(restored)
+    }
+    return handler
+  }
+
+  /**
+   * Load a manifest into a site, adding the site first if needed.
+   * @param {string} name
+   * @param {object} data - See the handler's `load()`
+   * @returns {{ added: string[], removed: string[], changed: string[] }|null}
+   */
+  const load = (name, data) => (sites.get(name) ?? add(name)).load(data)
+
+  /**
+   * Site handler by name.
+   * @param {string} name
+   * @returns {object|undefined}
+   */
+  const get = name => sites.get(name)
+
+  /**
+   * Remove a site.
+   * @param {string} name
+   * @returns {boolean} - Whether it existed
+   */
+  const remove = name => sites.delete(name)
+
+  /**
+   * Site that should serve a request.
+   * @param {Request} request
+   * @returns {object|null}
+   */
+  const route = request => {
+    const path = normalize_path(request.url)
+    const mounted = [...sites.values()]
+      .map(handler => ({ handler, base_path: normalize_base_path(handler.get_base_path()) }))
+      .filter(({ base_path }) => strip_base_path(path, base_path) !== null)
+      .sort((a, b) => b.base_path.length - a.base_path.length)
+
+    return mounted.find(({ handler }) => handler.handles(request))?.handler ?? null
+  }
+
+  /**
+   * Check if any site should process this request. While persisted sites
+   * are being restored, same-origin GET and HEAD requests are held.
+   * @param {Request} request
+   * @returns {boolean}
+   */
+  const handles = request => {
+    const method = request.method ?? 'GET'
+    if (restoring.size > 0 && (method === 'GET' || method === 'HEAD') && is_own_origin(request.url)) {
+      held_requests.add(request)
+      return true
+    }
+
+    return route(request) !== null
+  }
+
+  /**
+   * Handle fetch event with the site that serves it. Held requests are
+   * routed once every restore has settled, or go to the network if no site
+   * serves them.
+   * @param {FetchEvent} event
+   * @returns {Promise<Response>}
+   * @throws {Error} - Synchronously if no site handles the request
+   */
+  const handle = event => {
+    const dispatch = () => {
+      const handler = route(event.request)
+      if (handler) return handler.handle(event)
+      if (held_requests.has(event.request)) return fetch(event.request)
+      throw new Error(`No site handles ${normalize_path(event.request.url)}`)
+    }
+
+    return restoring.size > 0 ? Promise.all(restoring).then(dispatch) : dispatch()
+  }
+
+  return {
+    add,
+    load,
+    get,
+    remove,
+    handles,
+    handle
   }
 }
@@ -1,7 +1,8 @@
 import { describe, test, beforeEach, mock } from 'node:test'
 import assert from 'node:assert'
+import { brotliCompressSync } from 'node:zlib'
 
-import { create_versui_handler, MIME_TYPES } from '../src/index.js'
+import { ALLOWED_METHODS, create_versui_handler, create_versui_registry, DEFAULT_CACHE_CONTROL, DEFAULT_CACHE_NAME, DEFAULT_HEADERS, DEFAULT_LOAD_TIMEOUT, DEFAULT_NOTIFY_INTERVAL, DEFAULT_PROGRESS_INTERVAL, EVENTS, MESSAGE_TYPES, MIME_TYPES, TRANSPARENT_GIF } from '../src/index.js'
 
 // ============================================================================
 // MIME_TYPES constant
@@ -42,6 +43,8 @@ describe('create_versui_handler', () => {
     assert.strictEqual(typeof handler.handles, 'function')
     assert.strictEqual(typeof handler.handle, 'function')
     assert.strictEqual(typeof handler.fetch_from_walrus, 'function')
+    assert.strictEqual(typeof handler.clear_cache, 'function')
+    assert.strictEqual(typeof handler.cache_stats, 'function')
   })
 })
 
@@ -235,13 +238,21 @@ describe('handles()', () => {
 // handle() method
 // ============================================================================
 
+/**
+ * Wait until queued fetch notifications have been posted.
+ */
+const notifications_flushed = () => new Promise(resolve => setTimeout(resolve, DEFAULT_NOTIFY_INTERVAL + 10))
+
 describe('handle()', () => {
   let handler
   let mock_fetch
   let mock_clients
   let posted_messages
 
-  beforeEach(() => {
+  beforeEach(async () => {
+    // Let notifications queued by earlier tests go to their own mocks
+    await notifications_flushed()
+
     handler = create_versui_handler()
     posted_messages = []
 
@@ -289,6 +300,7 @@ describe('handle()', () => {
 
     const event = { request: { url: 'https://site.com/index.html' } }
     await handler.handle(event)
+    await notifications_flushed()
 
     const loading_msg = posted_messages.find(m => m.type === 'VERSUI_LOADING')
     assert.ok(loading_msg, 'VERSUI_LOADING message should be sent')
@@ -354,12 +366,14 @@ describe('handle()', () => {
 
     // First fetch
     await handler.handle({ request: { url: 'https://site.com/index.html' } })
+    await notifications_flushed()
 
     const success_messages_1 = posted_messages.filter(m => m.type === 'VERSUI_SUCCESS')
     assert.strictEqual(success_messages_1.length, 1)
 
     // Second fetch
     await handler.handle({ request: { url: 'https://site.com/app.js' } })
+    await notifications_flushed()
 
     const success_messages_2 = posted_messages.filter(m => m.type === 'VERSUI_SUCCESS')
     assert.strictEqual(success_messages_2.length, 1, 'Should still be only 1 VERSUI_SUCCESS')
@@ -372,6 +386,7 @@ describe('handle()', () => {
     })
 
     await handler.handle({ request: { url: 'https://site.com/index.html' } })
+    await notifications_flushed()
 
     // Reload with new resources
     handler.load({
@@ -382,6 +397,7 @@ describe('handle()', () => {
     posted_messages = []
 
     await handler.handle({ request: { url: 'https://site.com/index.html' } })
+    await notifications_flushed()
 
     const success_messages = posted_messages.filter(m => m.type === 'VERSUI_SUCCESS')
     assert.strictEqual(success_messages.length, 1, 'Should send VERSUI_SUCCESS again after reload')
@@ -419,6 +435,7 @@ describe('handle()', () => {
     })
 
     await handler.handle({ request: { url: 'https://site.com/index.html' } })
+    await notifications_flushed()
 
     const error_msg = posted_messages.find(m => m.type === 'VERSUI_ERROR')
     assert.ok(error_msg, 'VERSUI_ERROR message should be sent')
@@ -465,7 +482,7 @@ describe('handle()', () => {
 
     // Should timeout around 5s (with some tolerance)
     assert.ok(duration < 6000, `Should timeout around 5s, took ${duration}ms`)
-    assert.strictEqual(response.status, 502)
+    assert.strictEqual(response.status, 504)
   })
 
   test('uses default MIME type for unknown extensions', async () => {
@@ -578,3 +595,2838 @@ describe('fetch_from_walrus()', () => {
     )
   })
 })
+
+// ============================================================================
+// Cache Storage
+// ============================================================================
+
+/**
+ * Minimal in-memory Cache Storage mock.
+ */
+const create_mock_caches = () => {
+  const stores = new Map()
+
+  const open_store = name => {
+    if (!stores.has(name)) stores.set(name, new Map())
+    const entries = stores.get(name)
+
+    return {
+      match: async key => entries.get(String(key))?.clone(),
+      put: async (key, response) => {
+        const body = await response.arrayBuffer()
+        entries.set(String(key), new Response(body, response))
+      },
+      keys: async () => [...entries.keys()].map(url => ({ url, toString: () => url })),
+    }
+  }
+
+  return {
+    stores,
+    open: async name => open_store(name),
+    delete: async name => stores.delete(name),
+  }
+}
+
+describe('cache', () => {
+  let mock_fetch
+  let mock_caches
+  let posted_messages
+
+  beforeEach(() => {
+    posted_messages = []
+    mock_caches = create_mock_caches()
+    mock_fetch = mock.fn(async () => new Response('test content', { status: 200 }))
+
+    globalThis.self = {
+      clients: { matchAll: async () => [{ postMessage: msg => posted_messages.push(msg) }] }
+    }
+    globalThis.fetch = mock_fetch
+    globalThis.caches = mock_caches
+  })
+
+  test('is disabled by default', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://example.com'] })
+
+    await handler.handle({ request: { url: 'https://site.com/index.html' } })
+    await handler.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(mock_fetch.mock.calls.length, 2)
+    assert.strictEqual(mock_caches.stores.size, 0)
+    assert.deepStrictEqual(await handler.cache_stats(), { enabled: false, name: null, entries: 0, bytes: 0 })
+  })
+
+  test('stores aggregator responses and serves later requests from cache', async () => {
+    const handler = create_versui_handler({ cache: true })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://example.com'] })
+
+    const waits = []
+    const event = { request: { url: 'https://site.com/index.html' }, waitUntil: p => waits.push(p) }
+    const first = await handler.handle(event)
+    assert.strictEqual(await first.text(), 'test content')
+    await Promise.all(waits)
+
+    const second = await handler.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(mock_fetch.mock.calls.length, 1)
+    assert.strictEqual(second.status, 200)
+    assert.strictEqual(second.headers.get('Content-Type'), 'text/html')
+    assert.strictEqual(await second.text(), 'test content')
+  })
+
+  test('keys entries by quilt_patch_id under the default cache name', async () => {
+    const handler = create_versui_handler({ cache: true })
+    handler.load({ resources: { '/a.js': 'same-id', '/b.js': 'same-id' }, aggregators: ['https://example.com'] })
+
+    const waits = []
+    await handler.handle({ request: { url: 'https://site.com/a.js' }, waitUntil: p => waits.push(p) })
+    await Promise.all(waits)
+    await handler.fetch_from_walrus('/b.js')
+
+    assert.strictEqual(mock_fetch.mock.calls.length, 1)
+    assert.ok(mock_caches.stores.has(DEFAULT_CACHE_NAME))
+  })
+
+  test('accepts a custom cache name', async () => {
+    const handler = create_versui_handler({ cache: 'my-site' })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://example.com'] })
+
+    const waits = []
+    await handler.handle({ request: { url: 'https://site.com/index.html' }, waitUntil: p => waits.push(p) })
+    await Promise.all(waits)
+
+    assert.ok(mock_caches.stores.has('my-site'))
+  })
+
+  test('cache_stats() reports entries and bytes, clear_cache() empties it', async () => {
+    const handler = create_versui_handler({ cache: true })
+    handler.load({ resources: { '/a.js': 'id-a', '/b.js': 'id-b' }, aggregators: ['https://example.com'] })
+
+    const waits = []
+    await handler.handle({ request: { url: 'https://site.com/a.js' }, waitUntil: p => waits.push(p) })
+    await handler.handle({ request: { url: 'https://site.com/b.js' }, waitUntil: p => waits.push(p) })
+    await Promise.all(waits)
+
+    assert.deepStrictEqual(await handler.cache_stats(), {
+      enabled: true,
+      name: DEFAULT_CACHE_NAME,
+      entries: 2,
+      bytes: 24
+    })
+
+    assert.strictEqual(await handler.clear_cache(), true)
+    assert.strictEqual((await handler.cache_stats()).entries, 0)
+  })
+})
+
+// ============================================================================
+// Manifest persistence
+// ============================================================================
+
+/**
+ * Minimal in-memory IndexedDB mock (single key-value object store).
+ */
+const create_mock_indexeddb = () => {
+  const databases = new Map()
+
+  const request_for = executor => {
+    const request = {}
+    queueMicrotask(() => {
+      try {
+        request.result = executor()
+        request.onsuccess?.()
+      } catch (error) {
+        request.error = error
+        request.onerror?.()
+      }
+    })
+    return request
+  }
+
+  const open_database = stores => ({
+    createObjectStore: name => stores.set(name, new Map()),
+    close: () => {},
+    transaction: store_name => {
+      const transaction = {
+        objectStore: () => ({
+          get: key => request_for(() => stores.get(store_name).get(key)),
+          put: (value, key) => request_for(() => {
+            stores.get(store_name).set(key, structuredClone(value))
+            queueMicrotask(() => transaction.oncomplete?.())
+          }),
+        }),
+      }
+      return transaction
+    },
+  })
+
+  return {
+    databases,
+    open: name => {
+      const request = {}
+      queueMicrotask(() => {
+        const is_new = !databases.has(name)
+        if (is_new) databases.set(name, new Map())
+        request.result = open_database(databases.get(name))
+        if (is_new) request.onupgradeneeded?.()
+        request.onsuccess?.()
+      })
+      return request
+    },
+  }
+}
+
+describe('persist', () => {
+  let mock_fetch
+
+  beforeEach(() => {
+    mock_fetch = mock.fn(async () => new Response('test content', { status: 200 }))
+
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock_fetch
+    globalThis.indexedDB = create_mock_indexeddb()
+  })
+
+  test('restores the manifest in a fresh handler after a restart', async () => {
+    const first = create_versui_handler({ persist: true })
+    first.load({
+      resources: { '/index.html': 'abc123' },
+      aggregators: ['https://example.com'],
+      version: 'v1'
+    })
+    assert.strictEqual(await first.get_manifest_version(), 'v1')
+
+    // Simulated restart: new handler instance, same IndexedDB
+    const second = create_versui_handler({ persist: true })
+    assert.strictEqual(await second.restore(), true)
+    assert.strictEqual(second.handles({ url: 'https://site.com/index.html' }), true)
+  })
+
+  test('handle() waits for the restore before serving', async () => {
+    create_versui_handler({ persist: true }).load({
+      resources: { '/index.html': 'abc123' },
+      aggregators: ['https://example.com']
+    })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    const restarted = create_versui_handler({ persist: true })
+    const response = await restarted.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(mock_fetch.mock.calls[0].arguments[0], 'https://example.com/v1/blobs/abc123')
+  })
+
+  test('handle() rejects when nothing was persisted', async () => {
+    const handler = create_versui_handler({ persist: true })
+
+    await assert.rejects(
+      () => handler.handle({ request: { url: 'https://site.com/index.html' } }),
+      { message: 'Handler not initialized - call load() first' }
+    )
+  })
+
+  test('holds a fetch that arrives while the restore is pending', async () => {
+    create_versui_handler({ persist: true }).load({
+      resources: { '/index.html': 'abc123' },
+      aggregators: ['https://example.com']
+    })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    // Cold start: the fetch event arrives before idb_get() has resolved
+    const restarted = create_versui_handler({ persist: true })
+    const request = { url: 'https://site.com/index.html', mode: 'navigate' }
+    assert.strictEqual(restarted.handles(request), true)
+
+    const response = await restarted.handle({ request })
+    assert.strictEqual(response.status, 200)
+    assert.deepStrictEqual(mock_fetch.mock.calls.map(call => call.arguments[0]), ['https://example.com/v1/blobs/abc123'])
+  })
+
+  test('sends held requests to the network when the restore does not cover them', async () => {
+    create_versui_handler({ persist: true }).load({
+      resources: { '/index.html': 'abc123' },
+      aggregators: ['https://example.com']
+    })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    const restarted = create_versui_handler({ persist: true })
+    const request = { url: 'https://site.com/api/data' }
+    assert.strictEqual(restarted.handles(request), true)
+
+    await restarted.handle({ request })
+    assert.strictEqual(mock_fetch.mock.calls[0].arguments[0], request)
+    assert.strictEqual(restarted.handles({ url: 'https://site.com/api/data' }), false)
+  })
+
+  test('sends held requests to the network when nothing was persisted', async () => {
+    const handler = create_versui_handler({ persist: true })
+    const request = { url: 'https://site.com/index.html' }
+    assert.strictEqual(handler.handles(request), true)
+
+    await handler.handle({ request })
+    assert.strictEqual(mock_fetch.mock.calls[0].arguments[0], request)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/index.html' }), false)
+  })
+
+  test('load() during a pending restore is not overwritten', async () => {
+    create_versui_handler({ persist: 'site-db' }).load({
+      resources: { '/old.html': 'old' },
+      aggregators: ['https://example.com']
+    })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    const handler = create_versui_handler({ persist: 'site-db' })
+    handler.load({ resources: { '/new.html': 'new' }, aggregators: ['https://example.com'] })
+    await handler.restore()
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/new.html' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/old.html' }), false)
+  })
+
+  test('get_manifest_version() returns null without persistence', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources: {}, aggregators: ['https://example.com'], version: 'v1' })
+
+    assert.strictEqual(await handler.get_manifest_version(), null)
+    assert.strictEqual(globalThis.indexedDB.databases.size, 0)
+  })
+})
+
+// ============================================================================
+// Integrity verification
+// ============================================================================
+
+describe('integrity', () => {
+  const GOOD = 'good content'
+  let good_hex
+  let good_base64
+  let posted_messages
+
+  beforeEach(async () => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(GOOD))
+    good_hex = Buffer.from(digest).toString('hex')
+    good_base64 = Buffer.from(digest).toString('base64')
+    posted_messages = []
+
+    globalThis.self = {
+      clients: { matchAll: async () => [{ postMessage: msg => posted_messages.push(msg) }] }
+    }
+    globalThis.fetch = mock.fn(async url =>
+      new Response(url.includes('evil.com') ? 'tampered' : GOOD, { status: 200 })
+    )
+  })
+
+  test('serves body matching the sha256 digest', async () => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: { '/app.js': { id: 'abc123', sha256: good_hex } },
+      aggregators: ['https://example.com']
+    })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(await response.text(), GOOD)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/javascript')
+  })
+
+  test('accepts base64 and SRI-style digests', async () => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: {
+        '/a.js': { id: 'a', sha256: good_base64 },
+        '/b.js': { id: 'b', sha256: `sha256-${good_base64}` }
+      },
+      aggregators: ['https://example.com']
+    })
+
+    assert.strictEqual((await handler.fetch_from_walrus('/a.js')).status, 200)
+    assert.strictEqual((await handler.fetch_from_walrus('/b.js')).status, 200)
+  })
+
+  test('fails over to next aggregator on mismatch and sends VERSUI_INTEGRITY_ERROR', async () => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: { '/app.js': { id: 'abc123', sha256: good_hex } },
+      aggregators: ['https://evil.com', 'https://example.com']
+    })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+
+    assert.strictEqual(await response.text(), GOOD)
+    await notifications_flushed()
+    const integrity_msg = posted_messages.find(m => m.type === 'VERSUI_INTEGRITY_ERROR')
+    assert.ok(integrity_msg, 'VERSUI_INTEGRITY_ERROR message should be sent')
+    assert.strictEqual(integrity_msg.path, '/app.js')
+    assert.strictEqual(integrity_msg.aggregator, 'https://evil.com')
+    assert.strictEqual(integrity_msg.expected, good_hex)
+    assert.ok(!posted_messages.some(m => m.type === 'VERSUI_ERROR'))
+  })
+
+  test('returns 502 when no aggregator serves a matching body', async () => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: { '/app.js': { id: 'abc123', sha256: good_hex } },
+      aggregators: ['https://evil.com']
+    })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+
+    assert.strictEqual(response.status, 502)
+    await notifications_flushed()
+    const error_msg = posted_messages.find(m => m.type === 'VERSUI_ERROR')
+    assert.match(error_msg.error, /integrity check failed/)
+  })
+
+  test('times out and fails over when the body stalls during verification', async () => {
+    globalThis.fetch = mock.fn(async url => url.includes('stall.com')
+      ? new Response(new ReadableStream({ start: controller => controller.enqueue(new TextEncoder().encode('good')) }), { status: 200 })
+      : new Response(GOOD, { status: 200 }))
+    const handler = create_versui_handler({ timeout: 100, deadline: 300 })
+    handler.load({
+      resources: { '/app.js': { id: 'abc123', sha256: good_hex } },
+      aggregators: ['https://stall.com', 'https://example.com']
+    })
+
+    const start = Date.now()
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+
+    assert.strictEqual(await response.text(), GOOD)
+    assert.ok(Date.now() - start < 300)
+  })
+
+  test('does not trust cached copies that were not verified against the digest', async () => {
+    globalThis.caches = create_mock_caches()
+    const cache = await caches.open(DEFAULT_CACHE_NAME)
+    await cache.put('https://walrus.versui.cache/v1/blobs/abc123', new Response('tampered'))
+    const handler = create_versui_handler({ cache: true })
+    handler.load({
+      resources: { '/app.js': { id: 'abc123', sha256: good_hex } },
+      aggregators: ['https://example.com']
+    })
+
+    try {
+      const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+      assert.strictEqual(await response.text(), GOOD)
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+
+      // The verified copy replaced the untrusted one and is now served as-is
+      await new Promise(resolve => setTimeout(resolve, 0))
+      const cached = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+      assert.strictEqual(await cached.text(), GOOD)
+      assert.strictEqual(cached.headers.has('X-Versui-Sha256'), false)
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+    } finally {
+      delete globalThis.caches
+    }
+  })
+
+  test('load() rejects invalid entries and digests', () => {
+    const handler = create_versui_handler()
+
+    assert.throws(
+      () => handler.load({ resources: { '/a.js': { sha256: good_hex } }, aggregators: ['https://example.com'] }),
+      { message: 'Invalid resource entry for /a.js' }
+    )
+    assert.throws(
+      () => handler.load({ resources: { '/a.js': { id: 'a', sha256: 'nope' } }, aggregators: ['https://example.com'] }),
+      { message: 'Invalid sha256 digest: nope' }
+    )
+  })
+})
+
+// ============================================================================
+// Range requests
+// ============================================================================
+
+describe('range requests', () => {
+  const BODY = '0123456789'
+  let handler
+
+  const range_event = range => ({
+    request: { url: 'https://site.com/video.mp4', headers: new Headers(range ? { Range: range } : {}) }
+  })
+
+  beforeEach(() => {
+    handler = create_versui_handler()
+    handler.load({ resources: { '/video.mp4': 'abc123' }, aggregators: ['https://example.com'] })
+
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response(BODY, { status: 200 }))
+  })
+
+  test('advertises Accept-Ranges on full responses', async () => {
+    const response = await handler.handle(range_event())
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('Accept-Ranges'), 'bytes')
+  })
+
+  test('slices locally when the aggregator ignores Range', async () => {
+    const response = await handler.handle(range_event('bytes=2-5'))
+
+    assert.strictEqual(response.status, 206)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes 2-5/10')
+    assert.strictEqual(response.headers.get('Content-Length'), '4')
+    assert.strictEqual(response.headers.get('Accept-Ranges'), 'bytes')
+    assert.strictEqual(await response.text(), '2345')
+  })
+
+  test('supports open-ended and suffix ranges', async () => {
+    const open_ended = await handler.handle(range_event('bytes=7-'))
+    assert.strictEqual(open_ended.headers.get('Content-Range'), 'bytes 7-9/10')
+    assert.strictEqual(await open_ended.text(), '789')
+
+    const suffix = await handler.handle(range_event('bytes=-3'))
+    assert.strictEqual(suffix.headers.get('Content-Range'), 'bytes 7-9/10')
+    assert.strictEqual(await suffix.text(), '789')
+  })
+
+  test('forwards Range upstream and passes through 206 responses', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('2345', {
+      status: 206,
+      headers: { 'Content-Range': 'bytes 2-5/10', 'Content-Length': '4' }
+    }))
+
+    const response = await handler.handle(range_event('bytes=2-5'))
+
+    const [, init] = globalThis.fetch.mock.calls[0].arguments
+    assert.strictEqual(init.headers.Range, 'bytes=2-5')
+    assert.strictEqual(response.status, 206)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes 2-5/10')
+    assert.strictEqual(response.headers.get('Content-Type'), 'application/octet-stream')
+    assert.strictEqual(await response.text(), '2345')
+  })
+
+  test('returns 416 for unsatisfiable ranges', async () => {
+    const response = await handler.handle(range_event('bytes=20-30'))
+
+    assert.strictEqual(response.status, 416)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes */10')
+  })
+
+  test('returns 416 when the aggregator rejects the range', async () => {
+    globalThis.fetch = mock.fn(async (url, init) => init.headers
+      ? new Response('', { status: 416 })
+      : new Response(BODY, { status: 200 }))
+
+    const response = await handler.handle(range_event('bytes=20-'))
+
+    assert.strictEqual(response.status, 416)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes */10')
+  })
+
+  test('slices cache hits without buffering the whole blob', async () => {
+    const cached = new Response(BODY)
+    cached.arrayBuffer = () => assert.fail('cached blob read into an ArrayBuffer')
+    globalThis.caches = { open: async () => ({ match: async () => cached }) }
+    const cached_handler = create_versui_handler({ cache: true })
+    cached_handler.load({ resources: { '/video.mp4': 'abc123' }, aggregators: ['https://example.com'] })
+
+    try {
+      const response = await cached_handler.handle(range_event('bytes=2-5'))
+
+      assert.strictEqual(response.status, 206)
+      assert.strictEqual(response.headers.get('Content-Range'), 'bytes 2-5/10')
+      assert.strictEqual(await response.text(), '2345')
+      assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+    } finally {
+      delete globalThis.caches
+    }
+  })
+
+  test('ignores malformed and multi-range headers', async () => {
+    const malformed = await handler.handle(range_event('bytes=5-2'))
+    assert.strictEqual(malformed.status, 200)
+
+    const multi = await handler.handle(range_event('bytes=0-1,4-5'))
+    assert.strictEqual(multi.status, 200)
+    assert.strictEqual(await multi.text(), BODY)
+  })
+})
+
+// ============================================================================
+// Aggregator strategies
+// ============================================================================
+
+/**
+ * Fetch mock answering per aggregator host after a delay, honoring abort.
+ * @param {Record<string, { delay: number, status?: number }>} hosts
+ */
+const create_delayed_fetch = hosts => mock.fn((url, options) => {
+  const { delay, status = 200 } = hosts[new URL(url).host]
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(new Response(new URL(url).host, { status })), delay)
+    options?.signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new Error('Aborted'))
+    })
+  })
+})
+
+describe('strategy', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+  })
+
+  const load = handler => handler.load({
+    resources: { '/index.html': 'abc123' },
+    aggregators: ['https://slow.com', 'https://fast.com']
+  })
+
+  test('throws on unknown strategy', () => {
+    assert.throws(
+      () => create_versui_handler({ strategy: 'random' }),
+      { message: 'Unknown strategy: random' }
+    )
+  })
+
+  test('sequential waits for the first aggregator', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 80 }, 'fast.com': { delay: 0 } })
+    const handler = create_versui_handler({ strategy: 'sequential' })
+    load(handler)
+
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'slow.com')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+  })
+
+  test('race starts all aggregators and aborts the losers', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 200 }, 'fast.com': { delay: 10 } })
+    const handler = create_versui_handler({ strategy: 'race' })
+    load(handler)
+
+    const start = Date.now()
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'fast.com')
+    assert.ok(Date.now() - start < 150, 'Should not wait for the slow aggregator')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+    assert.strictEqual(globalThis.fetch.mock.calls[0].arguments[1].signal.aborted, true)
+  })
+
+  test('race rejects with an error when every aggregator fails', async () => {
+    globalThis.fetch = create_delayed_fetch({
+      'slow.com': { delay: 20, status: 500 },
+      'fast.com': { delay: 0, status: 503 }
+    })
+    const handler = create_versui_handler({ strategy: 'race' })
+    load(handler)
+
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /slow\.com: 500/)
+  })
+
+  test('hedged starts the next aggregator after hedge_delay', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 300 }, 'fast.com': { delay: 10 } })
+    const handler = create_versui_handler({ strategy: 'hedged', hedge_delay: 30 })
+    load(handler)
+
+    const start = Date.now()
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'fast.com')
+    assert.ok(Date.now() - start < 200, 'Should not wait for the slow aggregator')
+    assert.strictEqual(globalThis.fetch.mock.calls[0].arguments[1].signal.aborted, true)
+  })
+
+  test('hedged does not start the next aggregator when the first answers in time', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 5 }, 'fast.com': { delay: 0 } })
+    const handler = create_versui_handler({ strategy: 'hedged', hedge_delay: 100 })
+    load(handler)
+
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'slow.com')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+  })
+
+  test('hedged moves on immediately when an aggregator fails', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 0, status: 500 }, 'fast.com': { delay: 0 } })
+    const handler = create_versui_handler({ strategy: 'hedged', hedge_delay: 1000 })
+    load(handler)
+
+    const start = Date.now()
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'fast.com')
+    assert.ok(Date.now() - start < 500)
+  })
+})
+
+// ============================================================================
+// Aggregator health
+// ============================================================================
+
+describe('aggregator health', () => {
+  let statuses
+
+  beforeEach(() => {
+    statuses = {}
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url => {
+      const host = new URL(url).host
+      return new Response(host, { status: statuses[host] ?? 200 })
+    })
+  })
+
+  const hosts = () => globalThis.fetch.mock.calls.map(call => new URL(call.arguments[0]).host)
+
+  test('reports closed, unmeasured aggregators after load()', () => {
+    const handler = create_versui_handler({ health: true })
+    handler.load({ resources: {}, aggregators: ['https://a.com/', 'https://b.com'] })
+
+    assert.deepStrictEqual(handler.get_aggregator_health(), [
+      { url: 'https://a.com', state: 'closed', successes: 0, failures: 0, consecutive_failures: 0, success_rate: null, latency: null },
+      { url: 'https://b.com', state: 'closed', successes: 0, failures: 0, consecutive_failures: 0, success_rate: null, latency: null }
+    ])
+  })
+
+  test('opens the circuit after failure_threshold failures and skips the aggregator', async () => {
+    statuses['a.com'] = 503
+    const handler = create_versui_handler({ health: { failure_threshold: 2 } })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://a.com', 'https://b.com'] })
+
+    await handler.fetch_from_walrus('/index.html')
+    await handler.fetch_from_walrus('/index.html')
+
+    const [a] = handler.get_aggregator_health()
+    assert.strictEqual(a.state, 'open')
+    assert.strictEqual(a.failures, 2)
+    assert.strictEqual(a.success_rate, 0)
+
+    globalThis.fetch.mock.resetCalls()
+    await handler.fetch_from_walrus('/index.html')
+    assert.deepStrictEqual(hosts(), ['b.com'])
+  })
+
+  test('retries an open aggregator half-open after the cooldown', async () => {
+    statuses['a.com'] = 503
+    const handler = create_versui_handler({ health: { failure_threshold: 1, cooldown: 20 } })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://a.com', 'https://b.com'] })
+
+    await handler.fetch_from_walrus('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.strictEqual(handler.get_aggregator_health()[0].state, 'half-open')
+
+    statuses['a.com'] = 200
+    globalThis.fetch.mock.resetCalls()
+    await handler.fetch_from_walrus('/index.html')
+    await handler.fetch_from_walrus('/index.html')
+
+    assert.ok(hosts().includes('a.com'))
+    assert.strictEqual(handler.get_aggregator_health()[0].state, 'closed')
+  })
+
+  test('lets a single trial through while half-open', async () => {
+    statuses['a.com'] = 503
+    const handler = create_versui_handler({ health: { failure_threshold: 1, cooldown: 20 } })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://a.com', 'https://b.com'] })
+    await handler.fetch_from_walrus('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 30))
+
+    // Distinct blobs, so the requests are not coalesced into one fetch
+    handler.load({ resources: { '/1': 'one', '/2': 'two', '/3': 'three' }, aggregators: ['https://a.com', 'https://b.com'] })
+    globalThis.fetch = create_delayed_fetch({ 'a.com': { delay: 30, status: 503 }, 'b.com': { delay: 0 } })
+    await Promise.all(['/1', '/2', '/3'].map(path => handler.fetch_from_walrus(path)))
+
+    assert.deepStrictEqual(hosts().filter(host => host === 'a.com'), ['a.com'])
+    assert.strictEqual(handler.get_aggregator_health()[0].state, 'open')
+  })
+
+  test('releases the trial when the half-open attempt is aborted', async () => {
+    statuses['a.com'] = 503
+    const handler = create_versui_handler({ health: { failure_threshold: 1, cooldown: 20 }, strategy: 'race' })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://a.com', 'https://b.com'] })
+    await handler.fetch_from_walrus('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 30))
+
+    globalThis.fetch = create_delayed_fetch({ 'a.com': { delay: 40 }, 'b.com': { delay: 0 } })
+    await handler.fetch_from_walrus('/index.html')
+    await handler.fetch_from_walrus('/index.html')
+
+    assert.deepStrictEqual(hosts().filter(host => host === 'a.com'), ['a.com', 'a.com'])
+    assert.strictEqual(handler.get_aggregator_health()[0].state, 'half-open')
+  })
+
+  test('still tries open aggregators when every circuit is open', async () => {
+    statuses['a.com'] = 503
+    const handler = create_versui_handler({ health: { failure_threshold: 1 } })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://a.com'] })
+
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /503/)
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /503/)
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+  })
+
+  test('does not record aborted race losers', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 40 }, 'fast.com': { delay: 0 } })
+    const handler = create_versui_handler({ health: true, strategy: 'race' })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://slow.com', 'https://fast.com'] })
+
+    await handler.fetch_from_walrus('/index.html')
+    const health = handler.get_aggregator_health()
+    assert.strictEqual(health[1].successes, 1)
+    assert.strictEqual(health[0].successes + health[0].failures, 0, 'Aborted losers are not recorded')
+  })
+
+  test('prefers the lower-latency aggregator in sequential mode', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 40 }, 'fast.com': { delay: 0 } })
+    const handler = create_versui_handler({ health: true })
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators: ['https://slow.com', 'https://fast.com'] })
+
+    // First request samples slow.com, second samples the unmeasured fast.com
+    await handler.fetch_from_walrus('/index.html')
+    await handler.fetch_from_walrus('/index.html')
+
+    globalThis.fetch.mock.resetCalls()
+    const response = await handler.fetch_from_walrus('/index.html')
+    assert.strictEqual(await response.text(), 'fast.com')
+  })
+})
+
+// ============================================================================
+// Timeouts and retries
+// ============================================================================
+
+describe('timeouts and retries', () => {
+  let responses
+
+  beforeEach(() => {
+    responses = []
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => responses.shift() ?? new Response('ok', { status: 200 }))
+  })
+
+  const load = (handler, aggregators = ['https://example.com']) =>
+    handler.load({ resources: { '/index.html': 'abc123' }, aggregators })
+
+  test('honors a custom per-attempt timeout', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 500 } })
+    const handler = create_versui_handler({ timeout: 30 })
+    load(handler, ['https://slow.com'])
+
+    const start = Date.now()
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /slow\.com: timed out after 30ms/)
+    assert.ok(Date.now() - start < 300)
+  })
+
+  test('does not retry by default', async () => {
+    responses = [new Response('', { status: 503 })]
+    const handler = create_versui_handler()
+    load(handler)
+
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /503/)
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+  })
+
+  test('retries transient statuses with backoff', async () => {
+    responses = [new Response('', { status: 503 }), new Response('', { status: 429 })]
+    const handler = create_versui_handler({ retries: 2, retry_delay: 10 })
+    load(handler)
+
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 3)
+  })
+
+  test('retries network errors', async () => {
+    let calls = 0
+    globalThis.fetch = mock.fn(async () => {
+      if (calls++ === 0) throw new TypeError('fetch failed')
+      return new Response('ok', { status: 200 })
+    })
+    const handler = create_versui_handler({ retries: 1, retry_delay: 10 })
+    load(handler)
+
+    assert.strictEqual((await handler.fetch_from_walrus('/index.html')).status, 200)
+  })
+
+  test('does not retry non-retryable statuses', async () => {
+    responses = [new Response('', { status: 404 })]
+    const handler = create_versui_handler({ retries: 3, retry_delay: 10 })
+    load(handler)
+
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /404/)
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+  })
+
+  test('accepts custom retry_statuses', async () => {
+    responses = [new Response('', { status: 404 })]
+    const handler = create_versui_handler({ retries: 1, retry_delay: 10, retry_statuses: [404] })
+    load(handler)
+
+    assert.strictEqual((await handler.fetch_from_walrus('/index.html')).status, 200)
+  })
+
+  test('waits at least Retry-After before retrying', async () => {
+    responses = [new Response('', { status: 429, headers: { 'Retry-After': '1' } })]
+    const handler = create_versui_handler({ retries: 1, retry_delay: 1 })
+    load(handler)
+
+    const start = Date.now()
+    await handler.fetch_from_walrus('/index.html')
+
+    assert.ok(Date.now() - start >= 990, 'Should wait for Retry-After')
+  })
+
+  test('gives up when Retry-After exceeds max_retry_delay', async () => {
+    responses = [new Response('', { status: 503, headers: { 'Retry-After': '3600' } })]
+    const handler = create_versui_handler({ retries: 1 })
+    load(handler)
+
+    const start = Date.now()
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /503/)
+    assert.ok(Date.now() - start < 500)
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+  })
+
+  test('keeps retrying other aggregators when one asks for too long a Retry-After', async () => {
+    let resets = 0
+    globalThis.fetch = mock.fn(async url => {
+      if (url.startsWith('https://busy.com')) return new Response('', { status: 503, headers: { 'Retry-After': '120' } })
+      if (resets++ === 0) throw new TypeError('connection reset')
+      return new Response('ok', { status: 200 })
+    })
+    const handler = create_versui_handler({ retries: 3, retry_delay: 10 })
+    load(handler, ['https://busy.com', 'https://flaky.com'])
+
+    const start = Date.now()
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'ok')
+    assert.ok(Date.now() - start < 500)
+    assert.deepStrictEqual(
+      globalThis.fetch.mock.calls.map(call => new URL(call.arguments[0]).host),
+      ['busy.com', 'flaky.com', 'flaky.com']
+    )
+  })
+
+  test('gives up when the next retry would pass the deadline', async () => {
+    responses = [new Response('', { status: 429, headers: { 'Retry-After': '10' } })]
+    const handler = create_versui_handler({ retries: 3, deadline: 1000 })
+    load(handler)
+
+    const start = Date.now()
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'), /429/)
+    assert.ok(Date.now() - start < 500)
+  })
+
+  test('bounds attempts by the remaining deadline', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'slow.com': { delay: 500 } })
+    const handler = create_versui_handler({ timeout: 5000, deadline: 40 })
+    load(handler, ['https://slow.com', 'https://slow.com/'])
+
+    const start = Date.now()
+    await assert.rejects(() => handler.fetch_from_walrus('/index.html'))
+    assert.ok(Date.now() - start < 300)
+  })
+})
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+describe('routing', () => {
+  const resources = {
+    '/index.html': 'root-index',
+    '/docs/index.html': 'docs-index',
+    '/404.html': 'not-found',
+    '/app.js': 'app'
+  }
+
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+  })
+
+  const navigate = url => ({ url, mode: 'navigate' })
+  const requested_id = () => globalThis.fetch.mock.calls.at(-1).arguments[0].split('/').pop()
+
+  test('resolves directory index by default', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/docs' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/docs/' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/' }), true)
+
+    const response = await handler.handle({ request: { url: 'https://site.com/docs' } })
+    assert.strictEqual(requested_id(), 'docs-index')
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+  })
+
+  test('redirects navigations to a directory to its trailing-slash URL', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    const redirect = await handler.handle({ request: navigate('https://site.com/docs?page=2') })
+    assert.strictEqual(redirect.status, 301)
+    assert.strictEqual(redirect.headers.get('Location'), '/docs/?page=2')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+
+    const index = await handler.handle({ request: navigate('https://site.com/docs/') })
+    assert.strictEqual(index.status, 200)
+    assert.strictEqual(requested_id(), 'docs-index')
+  })
+
+  test('redirects to the trailing-slash URL under a base path', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources, aggregators: ['https://example.com'], base_path: '/site' })
+
+    const root = await handler.handle({ request: navigate('https://site.com/site') })
+    const docs = await handler.handle({ request: navigate('https://site.com/site/docs') })
+
+    assert.strictEqual(root.headers.get('Location'), '/site/')
+    assert.strictEqual(docs.headers.get('Location'), '/site/docs/')
+  })
+
+  test('directory index can be disabled', () => {
+    const handler = create_versui_handler({ directory_index: false })
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/docs' }), false)
+  })
+
+  test('serves the SPA fallback for unknown navigations only', async () => {
+    const handler = create_versui_handler({ spa_fallback: '/index.html' })
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    assert.strictEqual(handler.handles(navigate('https://site.com/users/42')), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/users/42', mode: 'cors' }), false)
+
+    const response = await handler.handle({ request: navigate('https://site.com/users/42') })
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(requested_id(), 'root-index')
+  })
+
+  test('serves the custom 404 page with status 404 for unknown navigations', async () => {
+    const handler = create_versui_handler({ not_found: '404.html' })
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/missing.png' }), false)
+
+    const response = await handler.handle({ request: navigate('https://site.com/missing') })
+    assert.strictEqual(response.status, 404)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+    assert.strictEqual(requested_id(), 'not-found')
+  })
+
+  test('prefers the SPA fallback over the 404 page', async () => {
+    const handler = create_versui_handler({ spa_fallback: '/index.html', not_found: '/404.html' })
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    const response = await handler.handle({ request: navigate('https://site.com/missing') })
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(requested_id(), 'root-index')
+  })
+
+  test('ignores fallbacks that are missing from the manifest', () => {
+    const handler = create_versui_handler({ spa_fallback: '/app.html', not_found: '/missing.html' })
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    assert.strictEqual(handler.handles(navigate('https://site.com/users/42')), false)
+  })
+
+  test('fetch_from_walrus() resolves directory index', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources, aggregators: ['https://example.com'] })
+
+    await handler.fetch_from_walrus('/docs/')
+    assert.strictEqual(requested_id(), 'docs-index')
+  })
+})
+
+// ============================================================================
+// Response headers
+// ============================================================================
+
+describe('response headers', () => {
+  let handler
+
+  beforeEach(() => {
+    handler = create_versui_handler({ spa_fallback: '/index.html' })
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+  })
+
+  const load = extra => handler.load({
+    resources: { '/index.html': 'a', '/assets/app.js': 'b', '/assets/img/logo.png': 'c' },
+    aggregators: ['https://example.com'],
+    ...extra
+  })
+
+  test('adds default security headers', async () => {
+    load()
+
+    const response = await handler.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(response.headers.get('X-Content-Type-Options'), DEFAULT_HEADERS['X-Content-Type-Options'])
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+  })
+
+  test('merges global headers and lets null remove defaults', async () => {
+    load({
+      headers: {
+        'Cross-Origin-Embedder-Policy': 'require-corp',
+        'X-Content-Type-Options': null
+      }
+    })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(response.headers.get('Cross-Origin-Embedder-Policy'), 'require-corp')
+    assert.strictEqual(response.headers.has('X-Content-Type-Options'), false)
+  })
+
+  test('applies exact and glob rules in order, overriding global headers', async () => {
+    load({
+      headers: { 'Cache-Control': 'no-cache' },
+      header_rules: {
+        '/assets/*': { 'Cache-Control': 'public, max-age=31536000, immutable' },
+        '/assets/img/*': { 'Cache-Control': 'public, max-age=3600' },
+        '/index.html': { 'Content-Security-Policy': "default-src 'self'" }
+      }
+    })
+
+    const js = await handler.handle({ request: { url: 'https://site.com/assets/app.js' } })
+    const png = await handler.handle({ request: { url: 'https://site.com/assets/img/logo.png' } })
+    const html = await handler.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(js.headers.get('Cache-Control'), 'public, max-age=31536000, immutable')
+    assert.strictEqual(png.headers.get('Cache-Control'), 'public, max-age=3600')
+    assert.strictEqual(html.headers.get('Cache-Control'), 'no-cache')
+    assert.strictEqual(html.headers.get('Content-Security-Policy'), "default-src 'self'")
+    assert.strictEqual(js.headers.has('Content-Security-Policy'), false)
+  })
+
+  test('applies rules for the served document on SPA fallback', async () => {
+    load({ header_rules: { '/index.html': { 'Content-Security-Policy': "default-src 'self'" } } })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/users/1', mode: 'navigate' } })
+
+    assert.strictEqual(response.headers.get('Content-Security-Policy'), "default-src 'self'")
+  })
+
+  test('adds headers to range and error responses', async () => {
+    load({ headers: { 'Cross-Origin-Resource-Policy': 'same-origin' } })
+
+    const partial = await handler.handle({
+      request: { url: 'https://site.com/assets/app.js', headers: new Headers({ Range: 'bytes=0-1' }) }
+    })
+    assert.strictEqual(partial.status, 206)
+    assert.strictEqual(partial.headers.get('Content-Range'), 'bytes 0-1/7')
+    assert.strictEqual(partial.headers.get('Cross-Origin-Resource-Policy'), 'same-origin')
+
+    globalThis.fetch = mock.fn(async () => new Response('', { status: 500 }))
+    const failed = await handler.handle({ request: { url: 'https://site.com/assets/app.js' } })
+    assert.strictEqual(failed.status, 502)
+    assert.strictEqual(failed.headers.get('Cross-Origin-Resource-Policy'), 'same-origin')
+  })
+
+  test('load() rejects malformed headers', () => {
+    assert.throws(() => load({ headers: 'nope' }), { message: 'load() requires headers to be an object' })
+    assert.throws(
+      () => load({ header_rules: { '/a': { 'Cache-Control': 1 } } }),
+      { message: 'Invalid header value for Cache-Control in header_rules[/a]' }
+    )
+  })
+})
+
+// ============================================================================
+// Precompressed variants
+// ============================================================================
+
+describe('precompressed variants', () => {
+  const SOURCE = 'console.log("hello from walrus")'
+  let blobs
+
+  // Node < 22 ships neither a brotli CompressionStream nor DecompressionStream
+  const supports_brotli = (() => {
+    try {
+      new DecompressionStream('brotli')
+      return true
+    } catch {
+      return false
+    }
+  })()
+
+  const compress = async (text, format) =>
+    new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream(format))).arrayBuffer())
+
+  beforeEach(async () => {
+    blobs = {
+      'app-identity': SOURCE,
+      'app-gzip': await compress(SOURCE, 'gzip'),
+      'app-br': new Uint8Array(brotliCompressSync(SOURCE))
+    }
+
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url => {
+      const id = url.split('/').pop()
+      return id in blobs ? new Response(blobs[id], { status: 200 }) : new Response('', { status: 404 })
+    })
+  })
+
+  const requested_ids = () => globalThis.fetch.mock.calls.map(call => call.arguments[0].split('/').pop())
+
+  const create = (options, variants = { br: 'app-br', gzip: 'app-gzip' }) => {
+    const handler = create_versui_handler(options)
+    handler.load({
+      resources: { '/app.js': { id: 'app-identity', variants } },
+      aggregators: ['https://example.com']
+    })
+    return handler
+  }
+
+  const request = headers => ({ request: { url: 'https://site.com/app.js', headers: new Headers(headers) } })
+
+  test('fetches the preferred variant and decompresses it locally', { skip: !supports_brotli }, async () => {
+    const response = await create().handle(request({}))
+
+    assert.deepStrictEqual(requested_ids(), ['app-br'])
+    assert.strictEqual(await response.text(), SOURCE)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/javascript')
+    assert.strictEqual(response.headers.has('Content-Encoding'), false)
+  })
+
+  test('respects Accept-Encoding', async () => {
+    const response = await create().handle(request({ 'Accept-Encoding': 'gzip, br;q=0' }))
+
+    assert.deepStrictEqual(requested_ids(), ['app-gzip'])
+    assert.strictEqual(await response.text(), SOURCE)
+  })
+
+  test('uses the identity variant when no encoding is acceptable', async () => {
+    const response = await create().handle(request({ 'Accept-Encoding': 'identity' }))
+
+    assert.deepStrictEqual(requested_ids(), ['app-identity'])
+    assert.strictEqual(await response.text(), SOURCE)
+  })
+
+  test('skips encodings this context cannot decompress', async () => {
+    const original = globalThis.DecompressionStream
+    globalThis.DecompressionStream = class extends original {
+      constructor(format) {
+        if (format === 'brotli') throw new TypeError('Unsupported format')
+        super(format)
+      }
+    }
+
+    try {
+      const response = await create().handle(request({}))
+      assert.deepStrictEqual(requested_ids(), ['app-gzip'])
+      assert.strictEqual(await response.text(), SOURCE)
+    } finally {
+      globalThis.DecompressionStream = original
+    }
+  })
+
+  test('passes encoded bodies through when decompress is false', async () => {
+    const response = await create({ decompress: false }).handle(request({ 'Accept-Encoding': 'gzip' }))
+
+    assert.strictEqual(response.headers.get('Content-Encoding'), 'gzip')
+    assert.strictEqual(response.headers.get('Vary'), 'Accept-Encoding')
+    assert.deepStrictEqual(new Uint8Array(await response.arrayBuffer()), blobs['app-gzip'])
+  })
+
+  test('falls back to identity when the variant cannot be fetched', async () => {
+    const response = await create({}, { gzip: 'missing-gzip' }).handle(request({}))
+
+    assert.deepStrictEqual(requested_ids(), ['missing-gzip', 'app-identity'])
+    assert.strictEqual(await response.text(), SOURCE)
+  })
+
+  test('serves range requests from the identity variant', async () => {
+    const response = await create().handle(request({ Range: 'bytes=0-6' }))
+
+    assert.deepStrictEqual(requested_ids(), ['app-identity'])
+    assert.strictEqual(await response.text(), 'console')
+  })
+
+  test('load() rejects unsupported encodings', () => {
+    assert.throws(() => create({}, { zip: 'x' }), { message: 'Unsupported encoding zip for /app.js' })
+  })
+})
+
+// ============================================================================
+// Remote manifests
+// ============================================================================
+
+describe('load_from_url() / load_from_blob()', () => {
+  const MANIFEST = {
+    resources: { '/index.html': 'abc123' },
+    aggregators: ['https://example.com'],
+    version: 'v2'
+  }
+  let key_pair
+  let public_key
+  let routes
+
+  const sign = async text => new Uint8Array(
+    await crypto.subtle.sign({ name: 'Ed25519' }, key_pair.privateKey, new TextEncoder().encode(text))
+  )
+
+  beforeEach(async () => {
+    key_pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify'])
+    public_key = Buffer.from(await crypto.subtle.exportKey('raw', key_pair.publicKey)).toString('base64')
+
+    const body = JSON.stringify(MANIFEST)
+    routes = {
+      'https://site.com/versui.json': body,
+      'https://site.com/versui.json.sig': Buffer.from(await sign(body)).toString('base64'),
+      'https://agg.com/v1/blobs/manifest-id': body,
+      'https://agg.com/v1/blobs/signature-id': await sign(body)
+    }
+
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url =>
+      url in routes ? new Response(routes[url], { status: 200 }) : new Response('', { status: 404 })
+    )
+  })
+
+  test('loads a signed manifest from a URL with <url>.sig', async () => {
+    const handler = create_versui_handler({ public_key })
+
+    await handler.load_from_url('https://site.com/versui.json')
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/index.html' }), true)
+  })
+
+  test('accepts an explicit signature', async () => {
+    const handler = create_versui_handler({ public_key })
+    const signature = Buffer.from(await sign(routes['https://site.com/versui.json'])).toString('hex')
+
+    await handler.load_from_url('https://site.com/versui.json', { signature })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/index.html' }), true)
+  })
+
+  test('rejects a tampered manifest and keeps the current one', async () => {
+    const handler = create_versui_handler({ public_key })
+    handler.load({ resources: { '/old.html': 'old' }, aggregators: ['https://example.com'] })
+    routes['https://site.com/versui.json'] = JSON.stringify({ ...MANIFEST, resources: { '/evil.js': 'x' } })
+
+    await assert.rejects(
+      () => handler.load_from_url('https://site.com/versui.json'),
+      { message: 'Manifest signature verification failed' }
+    )
+    assert.strictEqual(handler.handles({ url: 'https://site.com/old.html' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/evil.js' }), false)
+  })
+
+  test('requires a signature when a public key is configured', async () => {
+    const handler = create_versui_handler({ public_key })
+
+    await assert.rejects(
+      () => handler.load_from_blob('manifest-id', { aggregators: ['https://agg.com'] }),
+      { message: 'Manifest signature required' }
+    )
+  })
+
+  test('loads a signed manifest from Walrus through aggregator failover', async () => {
+    const handler = create_versui_handler({ public_key })
+
+    await handler.load_from_blob('manifest-id', {
+      aggregators: ['https://down.com', 'https://agg.com/'],
+      signature_patch_id: 'signature-id'
+    })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/index.html' }), true)
+    assert.ok(globalThis.fetch.mock.calls.some(call => call.arguments[0] === 'https://down.com/v1/blobs/manifest-id'))
+  })
+
+  test('falls back to the fetching aggregators when the manifest lists none', async () => {
+    const { aggregators, ...without_aggregators } = MANIFEST
+    routes['https://agg.com/v1/blobs/manifest-id'] = JSON.stringify(without_aggregators)
+    routes['https://agg.com/v1/blobs/abc123'] = 'content'
+    const handler = create_versui_handler()
+
+    await handler.load_from_blob('manifest-id', { aggregators: ['https://agg.com'] })
+    const response = await handler.fetch_from_walrus('/index.html')
+
+    assert.strictEqual(await response.text(), 'content')
+  })
+
+  test('loads unsigned manifests when no public key is configured', async () => {
+    const handler = create_versui_handler()
+
+    await handler.load_from_url('https://site.com/versui.json')
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/index.html' }), true)
+    assert.ok(!globalThis.fetch.mock.calls.some(call => call.arguments[0].endsWith('.sig')))
+  })
+
+  test('rejects on fetch failure and invalid JSON', async () => {
+    const handler = create_versui_handler()
+    routes['https://site.com/broken.json'] = '{ nope'
+
+    await assert.rejects(
+      () => handler.load_from_url('https://site.com/missing.json'),
+      { message: 'Manifest fetch failed: https://site.com/missing.json: 404' }
+    )
+    await assert.rejects(
+      () => handler.load_from_url('https://site.com/broken.json'),
+      { message: 'Manifest is not valid JSON' }
+    )
+  })
+})
+
+// ============================================================================
+// Precaching
+// ============================================================================
+
+describe('precache()', () => {
+  let posted_messages
+  let in_flight
+  let max_in_flight
+
+  beforeEach(() => {
+    posted_messages = []
+    in_flight = 0
+    max_in_flight = 0
+
+    globalThis.caches = create_mock_caches()
+    globalThis.self = {
+      clients: { matchAll: async () => [{ postMessage: msg => posted_messages.push(msg) }] }
+    }
+    globalThis.fetch = mock.fn(async url => {
+      in_flight++
+      max_in_flight = Math.max(max_in_flight, in_flight)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      in_flight--
+      return url.includes('broken')
+        ? new Response('', { status: 500 })
+        : new Response('12345', { status: 200 })
+    })
+  })
+
+  const create = () => {
+    const handler = create_versui_handler({ cache: true })
+    handler.load({
+      resources: { '/index.html': 'a', '/app.js': 'b', '/style.css': 'c', '/logo.png': 'd', '/copy.js': 'b' },
+      aggregators: ['https://example.com']
+    })
+    return handler
+  }
+
+  test('requires the cache option', async () => {
+    const handler = create_versui_handler()
+    handler.load({ resources: {}, aggregators: ['https://example.com'] })
+
+    await assert.rejects(() => handler.precache(), { message: 'precache() requires the cache option' })
+  })
+
+  test('downloads all entries once and serves them offline afterwards', async () => {
+    const handler = create()
+
+    const result = await handler.precache('all')
+
+    assert.deepStrictEqual(result, { done: 4, total: 4, bytes: 20, failed: [] })
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 4)
+
+    globalThis.fetch = mock.fn(async () => { throw new TypeError('offline') })
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' } })
+    assert.strictEqual(await response.text(), '12345')
+  })
+
+  test('bounds concurrency', async () => {
+    await create().precache('all', { concurrency: 2 })
+
+    assert.strictEqual(max_in_flight, 2)
+  })
+
+  test('accepts a list of paths or a predicate', async () => {
+    const handler = create()
+
+    const by_list = await handler.precache(['/index.html', 'missing.html'])
+    assert.strictEqual(by_list.total, 1)
+    assert.deepStrictEqual(by_list.failed, [{ path: '/missing.html', error: 'Resource not found' }])
+
+    const by_predicate = await handler.precache(path => path.endsWith('.js'))
+    assert.strictEqual(by_predicate.total, 1)
+  })
+
+  test('posts VERSUI_PRECACHE_PROGRESS to uncontrolled clients too', async () => {
+    let query
+    globalThis.self.clients.matchAll = async options => {
+      query = options
+      return [{ postMessage: msg => posted_messages.push(msg) }]
+    }
+
+    await create().precache(['/index.html', '/app.js'], { concurrency: 1 })
+
+    assert.deepStrictEqual(query, { includeUncontrolled: true })
+    assert.deepStrictEqual(
+      posted_messages.map(({ type, done, total, bytes }) => ({ type, done, total, bytes })),
+      [
+        { type: 'VERSUI_PRECACHE_PROGRESS', done: 1, total: 2, bytes: 5 },
+        { type: 'VERSUI_PRECACHE_PROGRESS', done: 2, total: 2, bytes: 10 }
+      ]
+    )
+  })
+
+  test('reports failed downloads without rejecting', async () => {
+    const handler = create_versui_handler({ cache: true })
+    handler.load({ resources: { '/ok.js': 'ok', '/broken.js': 'broken' }, aggregators: ['https://example.com'] })
+
+    const result = await handler.precache()
+
+    assert.strictEqual(result.done, 2)
+    assert.strictEqual(result.failed.length, 1)
+    assert.strictEqual(result.failed[0].path, '/broken.js')
+  })
+})
+
+// ============================================================================
+// Conditional requests
+// ============================================================================
+
+describe('conditional requests', () => {
+  let handler
+
+  beforeEach(() => {
+    handler = create_versui_handler({ not_found: '/404.html' })
+    handler.load({
+      resources: { '/app.js': 'abc123', '/404.html': 'nf', '/lib.js': { id: 'lib', variants: { gzip: 'lib-gz' } } },
+      aggregators: ['https://example.com']
+    })
+
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response('content', {
+      status: 200,
+      headers: { 'Last-Modified': 'Tue, 01 Sep 2026 00:00:00 GMT' }
+    }))
+  })
+
+  const request = (url, headers = {}) => ({ request: { url, headers: new Headers(headers) } })
+
+  test('adds a strong ETag from the patch ID, Cache-Control and upstream Last-Modified', async () => {
+    const response = await handler.handle(request('https://site.com/app.js'))
+
+    assert.strictEqual(response.headers.get('ETag'), '"abc123"')
+    assert.strictEqual(response.headers.get('Cache-Control'), DEFAULT_CACHE_CONTROL)
+    assert.strictEqual(response.headers.get('Last-Modified'), 'Tue, 01 Sep 2026 00:00:00 GMT')
+  })
+
+  test('answers a matching If-None-Match with 304 without contacting aggregators', async () => {
+    const response = await handler.handle(request('https://site.com/app.js', { 'If-None-Match': 'W/"other", "abc123"' }))
+
+    assert.strictEqual(response.status, 304)
+    assert.strictEqual(response.headers.get('ETag'), '"abc123"')
+    assert.strictEqual(response.body, null)
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+  })
+
+  test('serves the body when If-None-Match does not match', async () => {
+    const response = await handler.handle(request('https://site.com/app.js', { 'If-None-Match': '"stale"' }))
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(await response.text(), 'content')
+  })
+
+  test('evaluates If-None-Match before Range', async () => {
+    const response = await handler.handle(request('https://site.com/app.js', { 'If-None-Match': '"abc123"', Range: 'bytes=0-1' }))
+    assert.strictEqual(response.status, 304)
+
+    const partial = await handler.handle(request('https://site.com/app.js', { Range: 'bytes=0-1' }))
+    assert.strictEqual(partial.status, 206)
+    assert.strictEqual(partial.headers.get('ETag'), '"abc123"')
+  })
+
+  test('uses the identity ETag for locally decoded variants', async () => {
+    const gzipped = await new Response(new Blob(['content']).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer()
+    globalThis.fetch = mock.fn(async () => new Response(gzipped, { status: 200 }))
+
+    const response = await handler.handle(request('https://site.com/lib.js'))
+
+    assert.strictEqual(response.headers.get('ETag'), '"lib"')
+  })
+
+  test('never answers 304 for the custom 404 page', async () => {
+    const response = await handler.handle({
+      request: { url: 'https://site.com/missing', mode: 'navigate', headers: new Headers({ 'If-None-Match': '*' }) }
+    })
+
+    assert.strictEqual(response.status, 404)
+  })
+})
+
+// ============================================================================
+// Request methods
+// ============================================================================
+
+describe('request methods', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async (url, init) => new Response(init?.method === 'HEAD' ? null : 'content', {
+      status: 200,
+      headers: { 'Content-Length': '7' }
+    }))
+  })
+
+  const create = options => {
+    const handler = create_versui_handler(options)
+    handler.load({ resources: { '/app.js': 'abc123' }, aggregators: ['https://example.com'] })
+    return handler
+  }
+
+  const request = method => ({ request: { url: 'https://site.com/app.js', method } })
+
+  test('handles GET, HEAD and OPTIONS, passes other methods through by default', () => {
+    const handler = create()
+
+    assert.strictEqual(handler.handles(request('GET').request), true)
+    assert.strictEqual(handler.handles(request('HEAD').request), true)
+    assert.strictEqual(handler.handles(request('OPTIONS').request), true)
+    assert.strictEqual(handler.handles(request('POST').request), false)
+    assert.strictEqual(handler.handles(request('PUT').request), false)
+  })
+
+  test('answers other methods with 405 when configured to reject', async () => {
+    const handler = create({ other_methods: 'reject' })
+
+    assert.strictEqual(handler.handles(request('POST').request), true)
+    const response = await handler.handle(request('POST'))
+
+    assert.strictEqual(response.status, 405)
+    assert.strictEqual(response.headers.get('Allow'), ALLOWED_METHODS.join(', '))
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+  })
+
+  test('answers OPTIONS with 204 and Allow', async () => {
+    const response = await create().handle(request('OPTIONS'))
+
+    assert.strictEqual(response.status, 204)
+    assert.strictEqual(response.headers.get('Allow'), 'GET, HEAD, OPTIONS')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+  })
+
+  test('answers HEAD with headers only, using an upstream HEAD request', async () => {
+    const response = await create().handle(request('HEAD'))
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.body, null)
+    assert.strictEqual(response.headers.get('Content-Length'), '7')
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/javascript')
+    assert.strictEqual(response.headers.get('ETag'), '"abc123"')
+    assert.strictEqual(globalThis.fetch.mock.calls[0].arguments[1].method, 'HEAD')
+  })
+
+  test('falls back to GET when the aggregator does not support HEAD', async () => {
+    globalThis.fetch = mock.fn(async (url, init) => init?.method === 'HEAD'
+      ? new Response(null, { status: 405 })
+      : new Response('content', { status: 200 }))
+
+    const response = await create().handle(request('HEAD'))
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('Content-Length'), '7')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+  })
+
+  test('does not count missing HEAD support against the aggregator', async () => {
+    globalThis.fetch = mock.fn(async (url, init) => init?.method === 'HEAD'
+      ? new Response(null, { status: url.startsWith('https://a.example') ? 405 : 501 })
+      : new Response('content', { status: 200 }))
+    const handler = create_versui_handler({ health: true })
+    handler.load({ resources: { '/app.js': 'abc123' }, aggregators: ['https://a.example', 'https://b.example'] })
+    const attempt_errors = []
+    handler.on('attempt_error', details => attempt_errors.push(details))
+
+    for (let i = 0; i < 3; i++) await handler.handle(request('HEAD'))
+
+    for (const aggregator of handler.get_aggregator_health()) {
+      assert.strictEqual(aggregator.state, 'closed')
+      assert.strictEqual(aggregator.failures, 0)
+    }
+    assert.deepStrictEqual(attempt_errors, [])
+    assert.ok(handler.get_metrics().aggregators.every(aggregator => aggregator.errors === 0))
+  })
+
+  test('answers HEAD from the cache without contacting aggregators', async () => {
+    globalThis.caches = create_mock_caches()
+    const handler = create({ cache: true })
+    await handler.precache()
+    globalThis.fetch.mock.resetCalls()
+
+    const response = await handler.handle(request('HEAD'))
+
+    assert.strictEqual(response.headers.get('Content-Length'), '7')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+  })
+})
+
+describe('manifest updates', () => {
+  let posted_messages
+
+  beforeEach(() => {
+    posted_messages = []
+    globalThis.self = {
+      clients: {
+        matchAll: async () => [
+          { id: 'client-a', postMessage: msg => posted_messages.push(msg) },
+          { id: 'client-b', postMessage: msg => posted_messages.push(msg) }
+        ]
+      }
+    }
+    globalThis.fetch = mock.fn(async url => new Response(`content of ${url.split('/').pop()}`, { status: 200 }))
+  })
+
+  const v1 = {
+    version: 1,
+    resources: { '/index.html': 'html1', '/app.js': 'js1', '/old.css': 'css1' },
+    aggregators: ['https://example.com']
+  }
+  const v2 = {
+    version: 2,
+    resources: { '/index.html': 'html1', '/app.js': 'js2', '/new.css': 'css2' },
+    aggregators: ['https://example.com']
+  }
+
+  const updates = () => posted_messages.filter(msg => msg.type === 'VERSUI_UPDATE_AVAILABLE')
+  const request = (path, client_id) => ({ request: { url: `https://site.com${path}` }, clientId: client_id })
+
+  test('returns null on the first load and a diff afterwards', () => {
+    const handler = create_versui_handler()
+
+    assert.strictEqual(handler.load(v1), null)
+    assert.deepStrictEqual(handler.load(v2), {
+      added: ['/new.css'],
+      removed: ['/old.css'],
+      changed: ['/app.js']
+    })
+  })
+
+  test('posts VERSUI_UPDATE_AVAILABLE when the manifest changes', async () => {
+    const handler = create_versui_handler()
+    handler.load(v1)
+    handler.load(v2)
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    assert.strictEqual(updates().length, 2)
+    assert.deepStrictEqual(updates()[0], {
+      type: 'VERSUI_UPDATE_AVAILABLE',
+      version: 2,
+      previous_version: 1,
+      diff: { added: ['/new.css'], removed: ['/old.css'], changed: ['/app.js'] }
+    })
+  })
+
+  test('does not notify when reloading an identical manifest', async () => {
+    const handler = create_versui_handler()
+    handler.load(v1)
+    handler.load(v1)
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    assert.strictEqual(updates().length, 0)
+  })
+
+  test('switches every client immediately by default', async () => {
+    const handler = create_versui_handler()
+    handler.load(v1)
+    await handler.handle(request('/app.js', 'client-a'))
+    handler.load(v2)
+
+    const response = await handler.handle(request('/app.js', 'client-a'))
+
+    assert.strictEqual(await response.text(), 'content of js2')
+  })
+
+  test('keeps existing clients on their manifest in prompt mode', async () => {
+    const handler = create_versui_handler({ update_mode: 'prompt' })
+    handler.load(v1)
+    await handler.handle(request('/app.js', 'client-a'))
+    handler.load(v2)
+
+    const old_client = await handler.handle(request('/app.js', 'client-a'))
+    const new_client = await handler.handle(request('/app.js', 'client-b'))
+
+    assert.strictEqual(await old_client.text(), 'content of js1')
+    assert.strictEqual(await new_client.text(), 'content of js2')
+    assert.strictEqual(handler.handles(request('/old.css').request, 'client-a'), true)
+    assert.strictEqual(handler.handles(request('/old.css').request, 'client-b'), false)
+  })
+
+  test('gives navigations the manifest of the client they create', async () => {
+    const handler = create_versui_handler({ update_mode: 'prompt' })
+    handler.load(v1)
+    await handler.handle(request('/app.js', 'client-a'))
+    handler.load(v2)
+
+    const response = await handler.handle({
+      request: { url: 'https://site.com/app.js', mode: 'navigate' },
+      clientId: 'client-a',
+      resultingClientId: 'client-c'
+    })
+
+    assert.strictEqual(await response.text(), 'content of js2')
+  })
+
+  test('apply_update() moves a client onto the current manifest', async () => {
+    const handler = create_versui_handler({ update_mode: 'prompt' })
+    handler.load(v1)
+    await handler.handle(request('/app.js', 'client-a'))
+    await handler.handle(request('/app.js', 'client-b'))
+    handler.load(v2)
+
+    handler.apply_update('client-a')
+    const updated = await handler.handle(request('/app.js', 'client-a'))
+    const pinned = await handler.handle(request('/app.js', 'client-b'))
+    handler.apply_update()
+    const all = await handler.handle(request('/app.js', 'client-b'))
+
+    assert.strictEqual(await updated.text(), 'content of js2')
+    assert.strictEqual(await pinned.text(), 'content of js1')
+    assert.strictEqual(await all.text(), 'content of js2')
+  })
+
+  describe('with persist', () => {
+    beforeEach(() => {
+      globalThis.indexedDB = create_mock_indexeddb()
+    })
+
+    // Pin client-a to v1, then load v2 and let every write land
+    const pin_and_update = async () => {
+      const handler = create_versui_handler({ update_mode: 'prompt', persist: true })
+      handler.load(v1)
+      await handler.handle(request('/app.js', 'client-a'))
+      handler.load(v2)
+      await new Promise(resolve => setTimeout(resolve, 0))
+      await handler.get_manifest_version()
+      return handler
+    }
+
+    test('keeps pinned clients on their manifest after a restart', async () => {
+      await pin_and_update()
+
+      const restarted = create_versui_handler({ update_mode: 'prompt', persist: true })
+      assert.strictEqual(restarted.handles(request('/old.css').request, 'client-a'), true)
+      const old_client = await restarted.handle(request('/app.js', 'client-a'))
+      const new_client = await restarted.handle(request('/app.js', 'client-b'))
+
+      assert.strictEqual(await old_client.text(), 'content of js1')
+      assert.strictEqual(await new_client.text(), 'content of js2')
+      assert.strictEqual(restarted.handles(request('/old.css').request, 'client-a'), true)
+      assert.strictEqual(restarted.handles(request('/old.css').request, 'client-b'), false)
+    })
+
+    test('restores pins when a load() wins over the restore', async () => {
+      await pin_and_update()
+
+      const restarted = create_versui_handler({ update_mode: 'prompt', persist: true })
+      restarted.load(v2)
+      const response = await restarted.handle(request('/app.js', 'client-a'))
+
+      assert.strictEqual(await response.text(), 'content of js1')
+    })
+
+    test('persists apply_update()', async () => {
+      const handler = await pin_and_update()
+      handler.apply_update()
+      await handler.get_manifest_version()
+
+      const restarted = create_versui_handler({ update_mode: 'prompt', persist: true })
+      const response = await restarted.handle(request('/app.js', 'client-a'))
+
+      assert.strictEqual(await response.text(), 'content of js2')
+    })
+  })
+})
+
+describe('events and metrics', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+  })
+
+  const create = aggregators => {
+    const handler = create_versui_handler()
+    handler.load({ resources: { '/app.js': 'abc123' }, aggregators })
+    return handler
+  }
+
+  const record_events = handler => {
+    const events = []
+    for (const name of EVENTS) handler.on(name, details => events.push({ name, ...details }))
+    return events
+  }
+
+  const request = { request: { url: 'https://site.com/app.js' } }
+
+  test('emits request, attempts and success with timing and sizes', async () => {
+    globalThis.fetch = mock.fn(async url => url.startsWith('https://bad.com')
+      ? new Response('nope', { status: 503 })
+      : new Response('content', { status: 200, headers: { 'Content-Length': '7' } }))
+    const handler = create(['https://bad.com', 'https://good.com'])
+    const events = record_events(handler)
+
+    await handler.handle(request)
+
+    assert.deepStrictEqual(events.map(event => event.name), ['request', 'attempt', 'attempt_error', 'attempt', 'success'])
+    assert.deepStrictEqual(events[0], { name: 'request', path: '/app.js', method: 'GET' })
+    assert.deepStrictEqual(events[1], { name: 'attempt', id: 'abc123', aggregator: 'https://bad.com' })
+    assert.strictEqual(events[2].aggregator, 'https://bad.com')
+    assert.strictEqual(events[2].status, 503)
+    assert.strictEqual(events[2].error, 'https://bad.com: 503')
+    assert.strictEqual(typeof events[2].latency, 'number')
+    assert.strictEqual(events[4].aggregator, 'https://good.com')
+    assert.strictEqual(events[4].status, 200)
+    assert.strictEqual(events[4].bytes, 7)
+    assert.strictEqual(typeof events[4].latency, 'number')
+  })
+
+  test('emits error when every aggregator fails', async () => {
+    globalThis.fetch = mock.fn(async () => { throw new Error('offline') })
+    const handler = create(['https://example.com'])
+    const events = record_events(handler)
+
+    await handler.handle(request)
+
+    const error = events.find(event => event.name === 'error')
+    assert.strictEqual(error.status, 502)
+    assert.strictEqual(error.error, 'offline')
+    assert.strictEqual(events.some(event => event.name === 'success'), false)
+  })
+
+  test('on() returns an unsubscribe function and ignores throwing listeners', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+    const handler = create(['https://example.com'])
+    const calls = []
+    handler.on('request', () => { throw new Error('broken listener') })
+    const off = handler.on('request', details => calls.push(details))
+
+    const response = await handler.handle(request)
+    off()
+    await handler.handle(request)
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(calls.length, 1)
+  })
+
+  test('on() rejects unknown events', () => {
+    const handler = create(['https://example.com'])
+
+    assert.throws(() => handler.on('nope', () => {}), /Unknown event: nope/)
+    assert.throws(() => handler.on('request'), /requires a listener function/)
+  })
+
+  test('get_metrics() reports request counts and per-aggregator percentiles', async () => {
+    globalThis.fetch = mock.fn(async url => url.startsWith('https://bad.com')
+      ? new Response('nope', { status: 500 })
+      : new Response('content', { status: 200 }))
+    const handler = create(['https://bad.com', 'https://good.com'])
+
+    await handler.handle(request)
+    await handler.handle(request)
+
+    const metrics = handler.get_metrics()
+    assert.strictEqual(metrics.requests, 2)
+    assert.strictEqual(metrics.successes, 2)
+    assert.strictEqual(metrics.failures, 0)
+    assert.deepStrictEqual(metrics.aggregators.map(({ url, attempts, errors }) => ({ url, attempts, errors })), [
+      { url: 'https://bad.com', attempts: 2, errors: 2 },
+      { url: 'https://good.com', attempts: 2, errors: 0 }
+    ])
+    assert.strictEqual(typeof metrics.aggregators[1].p50, 'number')
+    assert.ok(metrics.aggregators[1].p95 >= metrics.aggregators[1].p50)
+
+    handler.reset_metrics()
+    assert.deepStrictEqual(handler.get_metrics(), { requests: 0, successes: 0, failures: 0, aggregators: [] })
+  })
+})
+
+describe('client notifications', () => {
+  let clients
+
+  beforeEach(async () => {
+    await notifications_flushed()
+
+    const create_client = id => ({ id, messages: [], postMessage (msg) { this.messages.push(msg) } })
+    clients = { a: create_client('a'), b: create_client('b') }
+    globalThis.self = {
+      clients: {
+        get: async id => clients[id],
+        matchAll: async () => Object.values(clients)
+      }
+    }
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+  })
+
+  const create = options => {
+    const handler = create_versui_handler(options)
+    handler.load({ resources: { '/app.js': 'abc123', '/style.css': 'def456' }, aggregators: ['https://example.com'] })
+    return handler
+  }
+
+  const types = client => client.messages.map(msg => msg.type)
+
+  test('posts only to the client that sent the request', async () => {
+    await create().handle({ request: { url: 'https://site.com/app.js' }, clientId: 'a' })
+    await notifications_flushed()
+
+    assert.deepStrictEqual(types(clients.a), ['VERSUI_LOADING', 'VERSUI_SUCCESS'])
+    assert.deepStrictEqual(types(clients.b), [])
+  })
+
+  test('targets the client a navigation creates, falling back to the requesting one', async () => {
+    const handler = create()
+    await handler.handle({ request: { url: 'https://site.com/app.js' }, clientId: 'a', resultingClientId: 'b' })
+    await handler.handle({ request: { url: 'https://site.com/style.css' }, clientId: 'a', resultingClientId: 'gone' })
+    await notifications_flushed()
+
+    assert.deepStrictEqual(types(clients.b), ['VERSUI_LOADING', 'VERSUI_SUCCESS'])
+    assert.deepStrictEqual(types(clients.a), ['VERSUI_LOADING'])
+  })
+
+  test('keeps only the latest VERSUI_LOADING per client within an interval', async () => {
+    const handler = create()
+    await handler.handle({ request: { url: 'https://site.com/app.js' }, clientId: 'a' })
+    await handler.handle({ request: { url: 'https://site.com/style.css' }, clientId: 'a' })
+    await notifications_flushed()
+
+    const loading = clients.a.messages.filter(msg => msg.type === 'VERSUI_LOADING')
+    assert.deepStrictEqual(loading, [{ type: 'VERSUI_LOADING', path: '/style.css' }])
+  })
+
+  test('does not wait for clients before answering', async () => {
+    globalThis.self.clients.get = () => new Promise(() => {})
+    const handler = create({ notify_interval: 0 })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/app.js' }, clientId: 'a' })
+
+    assert.strictEqual(response.status, 200)
+  })
+
+  test('does not post disabled message types', async () => {
+    const handler = create({ messages: { VERSUI_LOADING: false } })
+    await handler.handle({ request: { url: 'https://site.com/app.js' }, clientId: 'a' })
+    await notifications_flushed()
+
+    assert.deepStrictEqual(types(clients.a), ['VERSUI_SUCCESS'])
+  })
+
+  test('rejects unknown message types', () => {
+    assert.ok(MESSAGE_TYPES.includes('VERSUI_LOADING'))
+    assert.throws(() => create_versui_handler({ messages: { VERSUI_NOPE: false } }), /Unknown message type: VERSUI_NOPE/)
+  })
+})
+
+describe('error fallbacks', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response('', { status: 500 }))
+  })
+
+  const create = options => {
+    const handler = create_versui_handler(options)
+    handler.load({
+      resources: { '/index.html': 'page123', '/logo.png': 'img123', '/app.js': 'js123', '/offline.html': 'offline123' },
+      aggregators: ['https://example.com']
+    })
+    return handler
+  }
+
+  const navigate = path => ({ request: { url: `https://site.com${path}`, mode: 'navigate' } })
+  const subresource = path => ({ request: { url: `https://site.com${path}` } })
+
+  test('keeps the plain-text 502 by default', async () => {
+    const response = await create().handle(navigate('/index.html'))
+
+    assert.strictEqual(response.status, 502)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/plain')
+    assert.strictEqual(await response.text(), 'Walrus fetch failed')
+  })
+
+  test('renders an error page template for navigations', async () => {
+    const handler = create({ error_page: ({ status, path, error }) => `<h1>${status}</h1><p>${path}: ${error}</p>` })
+
+    const response = await handler.handle(navigate('/index.html'))
+
+    assert.strictEqual(response.status, 502)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+    assert.strictEqual(await response.text(), '<h1>502</h1><p>/index.html: https://example.com: 500</p>')
+  })
+
+  test('serves an error page from the manifest, cache first', async () => {
+    globalThis.caches = create_mock_caches()
+    const cache = await caches.open(DEFAULT_CACHE_NAME)
+    await cache.put('https://walrus.versui.cache/v1/blobs/offline123', new Response('<h1>Offline</h1>'))
+    const handler = create({ cache: true, error_page: '/offline.html' })
+
+    const response = await handler.handle(navigate('/index.html'))
+
+    assert.strictEqual(response.status, 502)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+    assert.strictEqual(await response.text(), '<h1>Offline</h1>')
+    delete globalThis.caches
+  })
+
+  test('falls back to plain text when the error page cannot be served', async () => {
+    const response = await create({ error_page: '/offline.html' }).handle(navigate('/index.html'))
+
+    assert.strictEqual(await response.text(), 'Walrus fetch failed')
+  })
+
+  test('falls back to plain text when the error page template fails', async () => {
+    const throwing = await create({ error_page: () => { throw new Error('tpl boom') } }).handle(navigate('/index.html'))
+    const rejecting = await create({ error_page: async () => { throw new Error('tpl boom') } }).handle(navigate('/index.html'))
+
+    for (const response of [throwing, rejecting]) {
+      assert.strictEqual(response.status, 502)
+      assert.strictEqual(response.headers.get('Content-Type'), 'text/plain')
+      assert.strictEqual(await response.text(), 'Walrus fetch failed')
+    }
+  })
+
+  test('serves per-type placeholders for subresources', async () => {
+    const handler = create({ error_page: () => '<h1>Error</h1>', placeholders: { 'image/*': TRANSPARENT_GIF } })
+
+    const image = await handler.handle(subresource('/logo.png'))
+    const script = await handler.handle(subresource('/app.js'))
+
+    assert.strictEqual(image.status, 502)
+    assert.strictEqual(image.headers.get('Content-Type'), 'image/gif')
+    assert.deepStrictEqual(new Uint8Array(await image.arrayBuffer()), TRANSPARENT_GIF.body)
+    assert.strictEqual(script.headers.get('Content-Type'), 'text/plain')
+    assert.strictEqual(await script.text(), 'Walrus fetch failed')
+  })
+
+  test('prefers an exact MIME type placeholder and keeps the requested type for plain bodies', async () => {
+    const handler = create({ placeholders: { 'image/*': TRANSPARENT_GIF, 'text/javascript': '/* offline */' } })
+
+    const script = await handler.handle(subresource('/app.js'))
+
+    assert.strictEqual(script.headers.get('Content-Type'), 'text/javascript')
+    assert.strictEqual(await script.text(), '/* offline */')
+  })
+
+  test('answers 504 when the fetch timed out', async () => {
+    globalThis.fetch = create_delayed_fetch({ 'example.com': { delay: 1000 } })
+    const handler = create_versui_handler({ timeout: 10, error_page: ({ status }) => `<h1>${status}</h1>` })
+    handler.load({ resources: { '/index.html': 'page123' }, aggregators: ['https://example.com'] })
+
+    const response = await handler.handle(navigate('/index.html'))
+
+    assert.strictEqual(response.status, 504)
+    assert.strictEqual(response.statusText, 'Gateway Timeout')
+    assert.strictEqual(await response.text(), '<h1>504</h1>')
+  })
+})
+
+describe('download progress', () => {
+  let posted_messages
+
+  beforeEach(async () => {
+    await notifications_flushed()
+
+    posted_messages = []
+    globalThis.self = { clients: { matchAll: async () => [{ postMessage: msg => posted_messages.push(msg) }] } }
+    globalThis.fetch = mock.fn(async () => {
+      const chunks = [new Uint8Array(4), new Uint8Array(4), new Uint8Array(2)]
+      const body = new ReadableStream({
+        pull: controller => chunks.length > 0 ? controller.enqueue(chunks.shift()) : controller.close()
+      })
+      return new Response(body, { status: 200, headers: { 'Content-Length': '10' } })
+    })
+  })
+
+  const create = options => {
+    const handler = create_versui_handler(options)
+    handler.load({ resources: { '/model.wasm': 'abc123' }, aggregators: ['https://example.com'] })
+    return handler
+  }
+
+  const request = { request: { url: 'https://site.com/model.wasm' } }
+  const of_type = type => posted_messages.filter(msg => msg.type === type)
+
+  test('posts VERSUI_PROGRESS while the body is read, then VERSUI_COMPLETE', async () => {
+    const response = await create({ progress_interval: 0 }).handle(request)
+    assert.strictEqual((await response.arrayBuffer()).byteLength, 10)
+    await notifications_flushed()
+
+    assert.deepStrictEqual(of_type('VERSUI_PROGRESS'), [{ type: 'VERSUI_PROGRESS', path: '/model.wasm', loaded: 10, total: 10 }])
+    assert.deepStrictEqual(of_type('VERSUI_COMPLETE'), [
+      { type: 'VERSUI_COMPLETE', path: '/model.wasm', loaded: 10, total: 10, aborted: false }
+    ])
+  })
+
+  test('throttles progress messages', async () => {
+    assert.strictEqual(DEFAULT_PROGRESS_INTERVAL, 100)
+    const response = await create().handle(request)
+    await response.arrayBuffer()
+    await notifications_flushed()
+
+    assert.strictEqual(of_type('VERSUI_PROGRESS').length, 0)
+    assert.strictEqual(of_type('VERSUI_COMPLETE').length, 1)
+  })
+
+  test('reports an aborted download when the body is cancelled', async () => {
+    const handler = create({ progress_interval: 0 })
+    const completed = []
+    handler.on('complete', details => completed.push(details))
+
+    const response = await handler.handle(request)
+    const reader = response.body.getReader()
+    await reader.read()
+    await reader.cancel()
+    await notifications_flushed()
+
+    assert.deepStrictEqual(completed, [{ path: '/model.wasm', loaded: 4, total: 10, aborted: true }])
+    assert.strictEqual(of_type('VERSUI_COMPLETE')[0].aborted, true)
+  })
+
+  test('reports an unknown total without Content-Length', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+    const handler = create()
+    const completed = []
+    handler.on('complete', details => completed.push(details))
+
+    await (await handler.handle(request)).text()
+
+    assert.deepStrictEqual(completed, [{ path: '/model.wasm', loaded: 7, total: null, aborted: false }])
+  })
+})
+
+describe('base path', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url => new Response(url.split('/').pop(), { status: 200 }))
+  })
+
+  const create = base_path => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: { '/index.html': 'html123', '/app.js': 'js123' },
+      aggregators: ['https://example.com'],
+      base_path
+    })
+    return handler
+  }
+
+  test('handles only requests under the base path', () => {
+    const handler = create('/app/')
+
+    assert.strictEqual(handler.get_base_path(), '/app')
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app/app.js' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), false)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/apple/app.js' }), false)
+  })
+
+  test('strips the base path before looking up resources', async () => {
+    const handler = create('/app')
+
+    const script = await handler.handle({ request: { url: 'https://site.com/app/app.js' } })
+    const index = await handler.handle({ request: { url: 'https://site.com/app/' } })
+
+    assert.strictEqual(await script.text(), 'js123')
+    assert.strictEqual(await index.text(), 'html123')
+    assert.strictEqual(script.headers.get('Content-Type'), 'text/javascript')
+  })
+
+  test('defaults to the origin root', () => {
+    assert.strictEqual(create().get_base_path(), '/')
+  })
+
+  test('rejects a non-string base path', () => {
+    assert.throws(() => create(42), /base_path to be a string/)
+  })
+})
+
+describe('create_versui_registry()', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url => new Response(url, { status: 200 }))
+  })
+
+  const create = () => {
+    const registry = create_versui_registry()
+    registry.load('root', {
+      resources: { '/index.html': 'root-html', '/docs/legacy.html': 'legacy-html' },
+      aggregators: ['https://root.com']
+    })
+    registry.load('docs', {
+      resources: { '/index.html': 'docs-html', '/guide.html': 'guide-html' },
+      aggregators: ['https://docs.com'],
+      base_path: '/docs'
+    })
+    return registry
+  }
+
+  test('routes each request to the site with the longest matching base path', async () => {
+    const registry = create()
+
+    const docs = await registry.handle({ request: { url: 'https://site.com/docs/guide.html' } })
+    const root = await registry.handle({ request: { url: 'https://site.com/index.html' } })
+
+    assert.strictEqual(await docs.text(), 'https://docs.com/v1/blobs/guide-html')
+    assert.strictEqual(await root.text(), 'https://root.com/v1/blobs/root-html')
+  })
+
+  test('falls back to a shorter base path when the longer site has no match', async () => {
+    const registry = create()
+
+    const response = await registry.handle({ request: { url: 'https://site.com/docs/legacy.html' } })
+
+    assert.strictEqual(await response.text(), 'https://root.com/v1/blobs/legacy-html')
+  })
+
+  test('handles() is false when no site matches, and handle() throws', () => {
+    const registry = create()
+
+    assert.strictEqual(registry.handles({ url: 'https://site.com/missing.js' }), false)
+    assert.throws(() => registry.handle({ request: { url: 'https://site.com/missing.js' } }), /No site handles \/missing.js/)
+  })
+
+  test('keeps separate state per site and supports add/get/remove', () => {
+    const registry = create()
+
+    assert.strictEqual(registry.get('docs').get_base_path(), '/docs')
+    assert.throws(() => registry.add('docs'), /Site already exists: docs/)
+    assert.strictEqual(registry.remove('docs'), true)
+    assert.strictEqual(registry.handles({ url: 'https://site.com/docs/guide.html' }), false)
+    assert.strictEqual(registry.get('docs'), undefined)
+  })
+
+  test('routes requests that arrive while persisted sites are restored', async () => {
+    globalThis.indexedDB = create_mock_indexeddb()
+    const first = create_versui_registry({ persist: true })
+    first.load('app', { resources: { '/a.js': 'app-a' }, aggregators: ['https://app.com'], base_path: '/app' })
+    first.load('docs', { resources: { '/d.js': 'docs-d' }, aggregators: ['https://docs.com'], base_path: '/docs' })
+    await first.get('app').get_manifest_version()
+    await first.get('docs').get_manifest_version()
+
+    // Restart: both sites are added again, then the waking fetch arrives
+    const registry = create_versui_registry({ persist: true })
+    registry.add('app')
+    registry.add('docs')
+    const request = { url: 'https://site.com/docs/d.js' }
+    const missing = { url: 'https://site.com/other.js' }
+    assert.strictEqual(registry.handles(request), true)
+    assert.strictEqual(registry.handles(missing), true)
+
+    const response = await registry.handle({ request })
+    await registry.handle({ request: missing })
+
+    assert.strictEqual(await response.text(), 'https://docs.com/v1/blobs/docs-d')
+    assert.strictEqual(globalThis.fetch.mock.calls.at(-1).arguments[0], missing)
+    assert.strictEqual(registry.handles({ url: 'https://site.com/app/a.js' }), true)
+    delete globalThis.indexedDB
+  })
+
+  test('gives each persisted site its own database', async () => {
+    globalThis.indexedDB = create_mock_indexeddb()
+
+    const registry = create_versui_registry({ persist: true })
+    await registry.add('app').restore()
+    await registry.add('blog', { persist: 'custom-db' }).restore()
+
+    assert.deepStrictEqual([...globalThis.indexedDB.databases.keys()], ['versui-app', 'custom-db'])
+    delete globalThis.indexedDB
+  })
+})
+
+describe('redirects and rewrites', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async url => new Response(url.split('/').pop(), { status: 200 }))
+  })
+
+  const create = (redirects, extra) => {
+    const handler = create_versui_handler()
+    handler.load({
+      resources: {
+        '/index.html': 'index123',
+        '/blog/post.html': 'post123',
+        '/about.html': 'about123',
+        '/docs/v2/index.html': 'docs123'
+      },
+      aggregators: ['https://example.com'],
+      redirects,
+      ...extra
+    })
+    return handler
+  }
+
+  const request = url => ({ request: { url: `https://site.com${url}` } })
+
+  test('redirects an exact path with 301 by default', async () => {
+    const handler = create([{ from: '/about-us', to: '/about.html' }])
+
+    const response = await handler.handle(request('/about-us'))
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/about-us' }), true)
+    assert.strictEqual(response.status, 301)
+    assert.strictEqual(response.headers.get('Location'), '/about.html')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 0)
+  })
+
+  test('leaves requests to other origins alone', () => {
+    globalThis.self.location = { origin: 'https://site.com' }
+    const handler = create([{ from: '/*', to: '/index.html', status: 200 }])
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/some/route' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://cdn.other.com/lib.js' }), false)
+    assert.strictEqual(handler.handles({ url: 'https://cdn.other.com/index.html' }), false)
+  })
+
+  test('fills in :param placeholders and splats', async () => {
+    const handler = create([
+      { from: '/posts/:year/:slug', to: '/blog/:slug?year=:year', status: 302 },
+      { from: '/docs/*', to: 'https://docs.example.com/:splat', status: 308 }
+    ])
+
+    const post = await handler.handle(request('/posts/2024/post.html'))
+    const docs = await handler.handle(request('/docs/v1/intro?ref=nav'))
+    const bare = await handler.handle(request('/docs'))
+
+    assert.strictEqual(post.status, 302)
+    assert.strictEqual(post.headers.get('Location'), '/blog/post.html?year=2024')
+    assert.strictEqual(docs.status, 308)
+    assert.strictEqual(docs.headers.get('Location'), 'https://docs.example.com/v1/intro?ref=nav')
+    assert.strictEqual(bare.headers.get('Location'), 'https://docs.example.com/')
+  })
+
+  test('rewrites with status 200 serve another entry under the requested path', async () => {
+    const handler = create([{ from: '/latest/*', to: '/docs/v2/:splat', status: 200 }])
+
+    const response = await handler.handle(request('/latest'))
+
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(await response.text(), 'docs123')
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/html')
+  })
+
+  test('applies rules in order, after existing resources, skipping rewrites to missing entries', async () => {
+    const handler = create([
+      { from: '/about.html', to: '/elsewhere' },
+      { from: '/old/*', to: '/missing/:splat', status: 200 },
+      { from: '/old/*', to: '/blog/:splat', status: 307 },
+      { from: '/old/*', to: '/never' }
+    ])
+
+    const existing = await handler.handle(request('/about.html'))
+    const moved = await handler.handle(request('/old/post.html'))
+
+    assert.strictEqual(existing.status, 200)
+    assert.strictEqual(moved.status, 307)
+    assert.strictEqual(moved.headers.get('Location'), '/blog/post.html')
+  })
+
+  test('keeps internal redirect targets under the base path', async () => {
+    const handler = create([{ from: '/old', to: '/about.html' }], { base_path: '/site' })
+
+    const response = await handler.handle(request('/site/old'))
+
+    assert.strictEqual(response.headers.get('Location'), '/site/about.html')
+  })
+
+  test('rejects malformed rules and unsupported statuses', () => {
+    assert.throws(() => create([{ from: '/a' }]), /Invalid redirect rule at index 0/)
+    assert.throws(() => create([{ from: '/a', to: '/b', status: 303 }]), /Invalid redirect status 303 for \/a/)
+    assert.throws(() => create({}), /redirects to be an array/)
+  })
+})
+
+describe('addressing modes', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+  })
+
+  const create = resources => {
+    const handler = create_versui_handler()
+    handler.load({ resources, aggregators: ['https://example.com'] })
+    return handler
+  }
+
+  const fetched_url = () => globalThis.fetch.mock.calls.at(-1).arguments[0]
+
+  test('keeps string entries on /v1/blobs/<id>', async () => {
+    await create({ '/app.js': 'abc123' }).fetch_from_walrus('/app.js')
+
+    assert.strictEqual(fetched_url(), 'https://example.com/v1/blobs/abc123')
+  })
+
+  test('builds the matching endpoint for each addressing mode', async () => {
+    const handler = create({
+      '/blob.js': { blob_id: 'blob123' },
+      '/patch.js': { quilt_patch_id: 'patch123' },
+      '/quilt.js': { quilt_id: 'quilt123', identifier: 'assets/app 1.js' }
+    })
+
+    await handler.fetch_from_walrus('/blob.js')
+    assert.strictEqual(fetched_url(), 'https://example.com/v1/blobs/blob123')
+
+    await handler.fetch_from_walrus('/patch.js')
+    assert.strictEqual(fetched_url(), 'https://example.com/v1/blobs/by-quilt-patch-id/patch123')
+
+    await handler.fetch_from_walrus('/quilt.js')
+    assert.strictEqual(fetched_url(), 'https://example.com/v1/blobs/by-quilt-id/quilt123/assets%2Fapp%201.js')
+  })
+
+  test('derives ETags from the entry ID', async () => {
+    const handler = create({ '/quilt.js': { quilt_id: 'quilt123', identifier: 'app.js' } })
+
+    const response = await handler.handle({ request: { url: 'https://site.com/quilt.js' } })
+
+    assert.strictEqual(response.headers.get('ETag'), '"quilt123/app.js"')
+  })
+
+  test('supports addressing modes in variants', async () => {
+    const handler = create_versui_handler({ decompress: false })
+    handler.load({
+      resources: { '/app.js': { blob_id: 'plain123', variants: { br: { quilt_patch_id: 'br123' } } } },
+      aggregators: ['https://example.com']
+    })
+
+    const response = await handler.handle({
+      request: { url: 'https://site.com/app.js', headers: new Headers({ 'Accept-Encoding': 'br' }) }
+    })
+
+    assert.strictEqual(response.headers.get('Content-Encoding'), 'br')
+    assert.strictEqual(fetched_url(), 'https://example.com/v1/blobs/by-quilt-patch-id/br123')
+  })
+
+  test('rejects entries with no, several or incomplete addressing modes', () => {
+    assert.throws(() => create({ '/a.js': { sha256: 'x' } }), /Invalid resource entry for \/a.js/)
+    assert.throws(() => create({ '/a.js': { blob_id: 'a', quilt_patch_id: 'b' } }), /Invalid resource entry/)
+    assert.throws(() => create({ '/a.js': { quilt_id: 'a' } }), /Invalid resource entry/)
+    assert.throws(() => create({ '/a.js': { blob_id: 'a', identifier: 'b' } }), /Invalid resource entry/)
+    assert.throws(() => create({ '/a.js': { blob_id: 42 } }), /Invalid resource entry/)
+  })
+})
+
+describe('request coalescing', () => {
+  let release
+
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(() => new Promise(resolve => {
+      release = () => resolve(new Response('shared content', { status: 200 }))
+    }))
+  })
+
+  const create = options => {
+    const handler = create_versui_handler(options)
+    handler.load({ resources: { '/a.png': 'img123', '/b.png': 'img123', '/c.png': 'other123' }, aggregators: ['https://example.com'] })
+    return handler
+  }
+
+  const request = path => ({ request: { url: `https://site.com${path}` } })
+
+  test('shares one upstream fetch among concurrent requests for the same blob', async () => {
+    const handler = create()
+
+    const pending = [handler.handle(request('/a.png')), handler.handle(request('/a.png')), handler.handle(request('/b.png'))]
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+    const responses = await Promise.all(pending)
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+    for (const response of responses) assert.strictEqual(await response.text(), 'shared content')
+  })
+
+  test('keeps other consumers reading when one cancels', async () => {
+    const handler = create()
+
+    const pending = [handler.handle(request('/a.png')), handler.handle(request('/a.png'))]
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+    const [cancelled, kept] = await Promise.all(pending)
+    await cancelled.body.cancel()
+
+    assert.strictEqual(await kept.text(), 'shared content')
+  })
+
+  test('fetches again once the shared fetch has settled', async () => {
+    const handler = create()
+
+    const first = handler.handle(request('/a.png'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+    await (await first).text()
+
+    const second = handler.handle(request('/a.png'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+    await (await second).text()
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+  })
+
+  test('does not share an unverified fetch with a path that has a digest', async () => {
+    const digest = Buffer.from(await crypto.subtle.digest('SHA-256', new TextEncoder().encode('GOOD'))).toString('hex')
+    globalThis.fetch = mock.fn(async () => new Response('EVIL', { status: 200 }))
+    const handler = create_versui_handler()
+    handler.load({ resources: { '/a.js': 'X', '/b.js': { id: 'X', sha256: digest } }, aggregators: ['https://example.com'] })
+
+    const [plain, verified] = await Promise.all([handler.handle(request('/a.js')), handler.handle(request('/b.js'))])
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+    assert.strictEqual(await plain.text(), 'EVIL')
+    assert.strictEqual(verified.status, 502)
+  })
+
+  test('does not share fetches for different blobs', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+    const handler = create()
+
+    await Promise.all([handler.handle(request('/a.png')), handler.handle(request('/c.png'))])
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 2)
+  })
+
+  test('fails every waiting request when the shared fetch fails', async () => {
+    globalThis.fetch = mock.fn(async () => new Response('', { status: 500 }))
+    const handler = create()
+
+    const responses = await Promise.all([handler.handle(request('/a.png')), handler.handle(request('/b.png'))])
+
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+    assert.deepStrictEqual(responses.map(response => response.status), [502, 502])
+  })
+
+  test('shares fetches between precache() and requests', async () => {
+    globalThis.caches = create_mock_caches()
+    const handler = create({ cache: true })
+
+    const precached = handler.precache(['/a.png'])
+    const served = handler.handle(request('/b.png'))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+
+    assert.strictEqual((await precached).done, 1)
+    assert.strictEqual(await (await served).text(), 'shared content')
+    assert.strictEqual(globalThis.fetch.mock.calls.length, 1)
+    delete globalThis.caches
+  })
+})
+
+describe('waiting for load()', () => {
+  beforeEach(() => {
+    globalThis.self = { clients: { matchAll: async () => [] } }
+    globalThis.fetch = mock.fn(async input => new Response(typeof input === 'string' ? 'walrus' : 'network', { status: 200 }))
+  })
+
+  const manifest = { resources: { '/app/index.html': 'abc123' }, aggregators: ['https://example.com'] }
+  const request = (path, method) => ({ request: { url: `https://site.com${path}`, method } })
+
+  test('ready() resolves once a manifest is loaded', async () => {
+    const handler = create_versui_handler()
+    let resolved = false
+    const ready = handler.ready().then(() => { resolved = true })
+
+    await new Promise(resolve => setTimeout(resolve, 0))
+    assert.strictEqual(resolved, false)
+
+    handler.load(manifest)
+    await ready
+    assert.strictEqual(resolved, true)
+  })
+
+  test('ready() resolves once a persisted manifest is restored', async () => {
+    globalThis.indexedDB = create_mock_indexeddb()
+    create_versui_handler({ persist: true }).load(manifest)
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    await create_versui_handler({ persist: true }).ready()
+    delete globalThis.indexedDB
+  })
+
+  test('handles() claims GET and HEAD requests under claim_scope until loaded', () => {
+    const handler = create_versui_handler({ claim_scope: '/app' })
+
+    assert.strictEqual(create_versui_handler().handles(request('/app/index.html').request), false)
+    assert.strictEqual(handler.handles(request('/app/index.html').request), true)
+    assert.strictEqual(handler.handles(request('/app/other.js', 'HEAD').request), true)
+    assert.strictEqual(handler.handles(request('/app/index.html', 'POST').request), false)
+    assert.strictEqual(handler.handles(request('/other.js').request), false)
+
+    handler.load(manifest)
+    assert.strictEqual(handler.handles(request('/app/other.js').request), false)
+  })
+
+  test('handles() does not claim requests to other origins', () => {
+    globalThis.self.location = { origin: 'https://site.com' }
+    const handler = create_versui_handler({ claim_scope: '/' })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/lib.js' }), true)
+    assert.strictEqual(handler.handles({ url: 'https://cdn.other.com/lib.js' }), false)
+  })
+
+  test('handle() waits for load() and then serves from Walrus', async () => {
+    assert.strictEqual(DEFAULT_LOAD_TIMEOUT, 3000)
+    const handler = create_versui_handler({ claim_scope: '/' })
+
+    const pending = handler.handle(request('/app/index.html'))
+    handler.load(manifest)
+    const response = await pending
+
+    assert.strictEqual(await response.text(), 'walrus')
+  })
+
+  test('handle() falls back to the network when load() does not come in time', async () => {
+    const handler = create_versui_handler({ claim_scope: '/', load_timeout: 10 })
+    const event = request('/app/index.html')
+
+    const response = await handler.handle(event)
+
+    assert.strictEqual(await response.text(), 'network')
+    assert.strictEqual(globalThis.fetch.mock.calls[0].arguments[0], event.request)
+  })
+
+  test('handle() falls back to the network for claimed paths the manifest lacks', async () => {
+    const handler = create_versui_handler({ claim_scope: '/' })
+
+    const pending = handler.handle(request('/app/missing.js'))
+    handler.load(manifest)
+
+    assert.strictEqual(await (await pending).text(), 'network')
+  })
+})
+
+describe('attach()', () => {
+  let scope
+
+  beforeEach(() => {
+    const listeners = new Map()
+    scope = {
+      location: { origin: 'https://site.com' },
+      listeners,
+      addEventListener: (type, listener) => listeners.set(type, [...(listeners.get(type) ?? []), listener]),
+      removeEventListener: (type, listener) => listeners.set(type, (listeners.get(type) ?? []).filter(other => other !== listener)),
+      dispatch: (type, event) => (listeners.get(type) ?? []).forEach(listener => listener(event)),
+      skipWaiting: mock.fn(async () => {}),
+      clients: { matchAll: async () => [], claim: mock.fn(async () => {}) }
+    }
+    globalThis.self = scope
+    globalThis.fetch = mock.fn(async () => new Response('content', { status: 200 }))
+  })
+
+  const manifest = { type: 'VERSUI_RESOURCES', resources: { '/app.js': 'abc123' }, aggregators: ['https://example.com'] }
+  const client = (url = 'https://site.com/') => ({ id: 'client-1', url, messages: [], postMessage (msg) { this.messages.push(msg) } })
+  const fetch_event = url => {
+    const event = { request: { url }, responded: null }
+    event.respondWith = response => { event.responded = response }
+    return event
+  }
+
+  test('loads manifests posted by same-origin clients', () => {
+    const handler = create_versui_handler()
+    handler.attach(scope)
+
+    scope.dispatch('message', { data: manifest, origin: 'https://site.com', source: client() })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), true)
+  })
+
+  test('ignores other message types, foreign origins and sources that are not clients', () => {
+    const handler = create_versui_handler()
+    handler.attach(scope)
+
+    scope.dispatch('message', { data: { ...manifest, type: 'OTHER' }, origin: 'https://site.com', source: client() })
+    scope.dispatch('message', { data: manifest, origin: 'https://evil.com', source: client('https://evil.com/') })
+    scope.dispatch('message', { data: manifest, origin: '', source: client('https://evil.com/') })
+    scope.dispatch('message', { data: manifest, origin: 'https://site.com', source: null })
+    scope.dispatch('message', { data: manifest, origin: 'https://site.com', source: { postMessage: () => {} } })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), false)
+  })
+
+  test('accepts configured origins and message types', () => {
+    const handler = create_versui_handler()
+    handler.attach(scope, { origins: ['https://admin.site.com'], message_type: 'DEPLOY' })
+
+    scope.dispatch('message', { data: { ...manifest, type: 'DEPLOY' }, origin: 'https://admin.site.com', source: client() })
+
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), true)
+  })
+
+  test('reports an invalid manifest back to the sender', () => {
+    const handler = create_versui_handler()
+    handler.attach(scope)
+    const sender = client()
+
+    scope.dispatch('message', { data: { type: 'VERSUI_RESOURCES', resources: {} }, origin: 'https://site.com', source: sender })
+
+    assert.deepStrictEqual(sender.messages, [{ type: 'VERSUI_ERROR', error: 'load() requires non-empty aggregators array' }])
+  })
+
+  test('requires a valid signature when a public key is configured', async () => {
+    const key_pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify'])
+    const public_key = new Uint8Array(await crypto.subtle.exportKey('raw', key_pair.publicKey))
+    const handler = create_versui_handler({ public_key })
+    handler.attach(scope)
+
+    const post = async data => {
+      const sender = client()
+      const pending = []
+      scope.dispatch('message', { data, origin: 'https://site.com', source: sender, waitUntil: promise => pending.push(promise) })
+      await Promise.all(pending)
+      return sender.messages
+    }
+
+    const text = JSON.stringify({ resources: manifest.resources, aggregators: manifest.aggregators })
+    const signature = new Uint8Array(
+      await crypto.subtle.sign({ name: 'Ed25519' }, key_pair.privateKey, new TextEncoder().encode(text))
+    )
+    const forged = JSON.stringify({ resources: { '/evil.js': 'x' }, aggregators: manifest.aggregators })
+
+    assert.deepStrictEqual(await post(manifest), [{ type: 'VERSUI_ERROR', error: 'Manifest signature required' }])
+    assert.deepStrictEqual(
+      await post({ type: 'VERSUI_RESOURCES', manifest: forged, signature }),
+      [{ type: 'VERSUI_ERROR', error: 'Manifest signature verification failed' }]
+    )
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), false)
+    assert.strictEqual(handler.handles({ url: 'https://site.com/evil.js' }), false)
+
+    assert.deepStrictEqual(await post({ type: 'VERSUI_RESOURCES', manifest: text, signature }), [])
+    assert.strictEqual(handler.handles({ url: 'https://site.com/app.js' }), true)
+  })
+
+  test('responds to handled fetches and leaves the rest to other listeners', async () => {
+    const handler = create_versui_handler()
+    handler.load(manifest)
+    handler.attach(scope, { filter: request => !request.url.includes('skip') })
+
+    const handled = fetch_event('https://site.com/app.js')
+    const unknown = fetch_event('https://site.com/other.js')
+    const skipped = fetch_event('https://site.com/app.js?skip')
+    scope.dispatch('fetch', handled)
+    scope.dispatch('fetch', unknown)
+    scope.dispatch('fetch', skipped)
+
+    assert.strictEqual(await (await handled.responded).text(), 'content')
+    assert.strictEqual(unknown.responded, null)
+    assert.strictEqual(skipped.responded, null)
+  })
+
+  test('calls skipWaiting() and clients.claim() only when configured', () => {
+    const wait_until = mock.fn()
+    create_versui_handler().attach(scope)
+    scope.dispatch('install', { waitUntil: wait_until })
+    scope.dispatch('activate', { waitUntil: wait_until })
+    assert.strictEqual(wait_until.mock.calls.length, 0)
+
+    create_versui_handler().attach(scope, { skip_waiting: true, claim: true })
+    scope.dispatch('install', { waitUntil: wait_until })
+    scope.dispatch('activate', { waitUntil: wait_until })
+
+    assert.strictEqual(scope.skipWaiting.mock.calls.length, 1)
+    assert.strictEqual(scope.clients.claim.mock.calls.length, 1)
+    assert.strictEqual(wait_until.mock.calls.length, 2)
+  })
+
+  test('detach() removes every listener', () => {
+    const detach = create_versui_handler().attach(scope)
+    assert.deepStrictEqual([...scope.listeners.keys()].sort(), ['activate', 'fetch', 'install', 'message'])
+
+    detach()
+
+    for (const listeners of scope.listeners.values()) assert.strictEqual(listeners.length, 0)
+  })
+})